@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Refresh the bundled offline catalog (src/catalog.js) from the TRMNL API
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const API_BASE_URL = process.env.TRMNL_API_BASE_URL || 'https://trmnl.com';
+const catalogPath = path.join(__dirname, '../src/catalog.js');
+
+async function fetchData(endpoint) {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${endpoint}: ${response.status} ${response.statusText}`);
+  }
+  const json = await response.json();
+  return json.data || json;
+}
+
+async function main() {
+  const [models, palettes] = await Promise.all([
+    fetchData('/api/models'),
+    fetchData('/api/palettes')
+  ]);
+
+  const catalog = {
+    updatedAt: new Date().toISOString(),
+    models,
+    palettes
+  };
+
+  const source = `/**
+ * Bundled snapshot of the TRMNL models and palettes catalog, used when the API
+ * is unreachable and nothing is cached. Generated by scripts/update-catalog.js.
+ * @private
+ */
+export default ${JSON.stringify(catalog, null, 2)}
+`;
+
+  fs.writeFileSync(catalogPath, source);
+
+  console.log(`✓ Updated bundled catalog (${models.length} models, ${palettes.length} palettes)`);
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,409 @@
+import validateCatalog from './validate.js'
+import {
+  TRMNLPickerNetworkError,
+  TRMNLPickerHttpError,
+  TRMNLPickerPayloadError
+} from './errors.js'
+
+/**
+ * Default base URL of the TRMNL API
+ * @private
+ * @constant {string}
+ */
+const API_BASE_URL = 'https://trmnl.com'
+
+/**
+ * localStorage key prefix for caching API responses, suffixed with the endpoint URL
+ * @private
+ * @constant {string}
+ */
+const _API_CACHE_KEY = 'trmnl-picker-api-cache'
+
+/**
+ * Default API endpoint paths, relative to the API base URL
+ * @private
+ * @constant {Object<string, string>}
+ */
+const _API_PATHS = {
+  models: '/api/models',
+  palettes: '/api/palettes'
+}
+
+/**
+ * Default cache TTL in milliseconds (1 day)
+ * @private
+ * @constant {number}
+ */
+const _CACHE_TTL_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Supported API cache strategies
+ * @private
+ * @constant {Array<string>}
+ */
+const _CACHE_STRATEGIES = ['stale-while-revalidate', 'cache-first']
+
+/**
+ * Default timeout for a single API request attempt in milliseconds
+ * @private
+ * @constant {number}
+ */
+const _REQUEST_TIMEOUT_MS = 10 * 1000
+
+/**
+ * Default number of retries after a failed API request
+ * @private
+ * @constant {number}
+ */
+const _REQUEST_RETRIES = 2
+
+/**
+ * Default base delay between retries in milliseconds, doubled after each attempt
+ * @private
+ * @constant {number}
+ */
+const _RETRY_DELAY_MS = 500
+
+/**
+ * Upper bound for any retry delay, including server-provided Retry-After values
+ * @private
+ * @constant {number}
+ */
+const _MAX_RETRY_DELAY_MS = 30 * 1000
+
+/**
+ * API requests currently in flight, shared by pickers requesting the same endpoint, with the
+ * controller cancelling them and the number of callers still waiting
+ * @private
+ * @type {Map<string, {fetchFn: Function, controller: AbortController, callers: number, promise: Promise<Array>}>}
+ */
+const _inFlightRequests = new Map()
+
+/**
+ * Key request headers by their normalized entries, so equal headers given as a plain object,
+ * a Headers instance or an array of pairs share a request, and different ones never do
+ * @private
+ * @param {Object<string, string>|Headers|Array<Array<string>>} [headers] - Request headers
+ * @returns {string} Key of the headers
+ */
+function _headersKey(headers) {
+  const entries = [...new Headers(headers || {}).entries()]
+  return JSON.stringify(entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+}
+
+/**
+ * Endpoint URLs fetched from the network since the page loaded, which need no background refresh
+ * @private
+ * @type {Set<string>}
+ */
+const _refreshedUrls = new Set()
+
+/**
+ * Get cached API response for an endpoint from localStorage
+ * @private
+ * @param {string} url - Endpoint URL the data was fetched from
+ * @param {number} ttl - Time in milliseconds the cached data is considered fresh
+ * @returns {{data: Array, isStale: boolean} | null} Cached data and whether it is older than the TTL, or null if missing
+ */
+function _getCachedApiData(url, ttl) {
+  try {
+    const cached = localStorage.getItem(`${_API_CACHE_KEY}:${url}`)
+    if (!cached) return null
+
+    const { timestamp, data } = JSON.parse(cached)
+    const now = Date.now()
+
+    return { data, isStale: now - timestamp > ttl }
+  } catch (error) {
+    console.warn('TRMNLPicker: Failed to read API cache:', error)
+    return null
+  }
+}
+
+/**
+ * Save API response for an endpoint to localStorage cache
+ * @private
+ * @param {string} url - Endpoint URL the data was fetched from
+ * @param {Array} data - Models or palettes array
+ */
+function setCachedApiData(url, data) {
+  try {
+    const cacheData = {
+      timestamp: Date.now(),
+      data
+    }
+    localStorage.setItem(`${_API_CACHE_KEY}:${url}`, JSON.stringify(cacheData))
+  } catch (error) {
+    console.warn('TRMNLPicker: Failed to save API cache:', error)
+  }
+}
+
+/**
+ * Resolve the URL of an API endpoint from the create() options
+ * @private
+ * @param {string} name - Endpoint name ('models' or 'palettes')
+ * @param {Object} options - create() options
+ * @returns {string} Absolute endpoint URL
+ */
+function getApiUrl(name, options) {
+  const path = options[`${name}Path`] || _API_PATHS[name]
+
+  // Absolute URLs are used as-is
+  if (/^https?:\/\//.test(path)) return path
+
+  const baseUrl = (options.apiBaseUrl || API_BASE_URL).replace(/\/+$/, '')
+  return `${baseUrl}${path.startsWith('/') ? '' : '/'}${path}`
+}
+
+/**
+ * Get models or palettes for an endpoint, from the localStorage cache when the
+ * cache strategy allows it, otherwise from the network
+ * @private
+ * @param {string} name - Endpoint name ('models' or 'palettes')
+ * @param {Object} options - create() options (cacheStrategy, cacheTtl and fetch options)
+ * @returns {Promise<{data: Array, revalidate: boolean, source: string}>} Data, whether it is cached data
+ *   that should be refreshed in the background, and its source ('cached' or 'live')
+ * @throws {Error} If the request fails and nothing is cached
+ */
+async function loadApiData(name, options) {
+  const { cacheStrategy = 'stale-while-revalidate', cacheTtl = _CACHE_TTL_MS } = options
+
+  if (!_CACHE_STRATEGIES.includes(cacheStrategy)) {
+    throw new Error(`TRMNLPicker: cacheStrategy must be one of: ${_CACHE_STRATEGIES.join(', ')}`)
+  }
+
+  const url = getApiUrl(name, options)
+  const cached = _getCachedApiData(url, cacheTtl)
+
+  // Fresh cache is always used; stale cache only when revalidating in the background
+  if (cached && (!cached.isStale || cacheStrategy === 'stale-while-revalidate')) {
+    // Revalidate once per page load even within the TTL, so new devices show up on the next visit
+    const revalidate = cacheStrategy === 'stale-while-revalidate' && !_refreshedUrls.has(url)
+    return { data: cached.data, revalidate, source: 'cached' }
+  }
+
+  try {
+    return { data: await fetchApiData(name, options), revalidate: false, source: 'live' }
+  } catch (error) {
+    // Expired cache beats no data at all
+    if (cached && !options.signal?.aborted) {
+      console.warn('TRMNLPicker: Using expired API cache:', error)
+      return { data: cached.data, revalidate: false, source: 'cached' }
+    }
+    throw error
+  }
+}
+
+/**
+ * Fetch models or palettes from an API endpoint and store them in the localStorage cache
+ *
+ * Only data passing {@link validateCatalog} is cached, so a bad payload is not served again on
+ * every later startup.
+ *
+ * @private
+ * @param {string} name - Endpoint name ('models' or 'palettes')
+ * @param {Object} options - create() options (apiBaseUrl, modelsPath, palettesPath, headers, fetch)
+ * @returns {Promise<Array>} Models or palettes array
+ * @throws {Error} If the request fails
+ */
+function fetchApiData(name, options) {
+  const url = getApiUrl(name, options)
+  const fetchFn = options.fetch || fetch
+  const requestKey = `${url} ${_headersKey(options.headers)}`
+
+  // Share a request already in flight for the same endpoint, headers and fetch implementation
+  let request = _inFlightRequests.get(requestKey)
+  if (!request || request.fetchFn !== fetchFn) {
+    const controller = new AbortController()
+    const promise = _requestApiData(name, url, fetchFn, options, controller.signal)
+      .then(data => {
+        _refreshedUrls.add(url)
+
+        // Cache the API data for future use, keyed by endpoint URL
+        if (validateCatalog({ models: [], palettes: [], [name]: data }).valid) {
+          setCachedApiData(url, data)
+        }
+        return data
+      })
+      .finally(() => {
+        if (_inFlightRequests.get(requestKey) === request) {
+          _inFlightRequests.delete(requestKey)
+        }
+      })
+
+    request = { fetchFn, controller, callers: 0, promise }
+    _inFlightRequests.set(requestKey, request)
+  }
+
+  const shared = request
+  shared.callers++
+
+  // Aborting stops this caller from waiting; the request itself is cancelled with its last caller
+  return _abortable(shared.promise, options.signal, () => {
+    shared.callers--
+    if (shared.callers > 0) return
+
+    shared.controller.abort()
+    if (_inFlightRequests.get(requestKey) === shared) {
+      _inFlightRequests.delete(requestKey)
+    }
+  })
+}
+
+/**
+ * Request an API endpoint, with a timeout per attempt and retries with exponential backoff
+ * on network errors, timeouts and retryable statuses (respecting Retry-After)
+ * @private
+ * @param {string} name - Endpoint name ('models' or 'palettes')
+ * @param {string} url - Endpoint URL
+ * @param {Function} fetchFn - fetch implementation
+ * @param {Object} options - create() options (headers, timeout, retries, retryDelay)
+ * @param {AbortSignal} signal - Cancels the current attempt and any further retries
+ * @returns {Promise<Array>} Models or palettes array
+ * @throws {TRMNLPickerNetworkError|TRMNLPickerHttpError|TRMNLPickerPayloadError} If the last attempt fails
+ * @throws {*} The abort reason when cancelled
+ */
+async function _requestApiData(name, url, fetchFn, options, signal) {
+  const {
+    headers,
+    timeout = _REQUEST_TIMEOUT_MS,
+    retries = _REQUEST_RETRIES,
+    retryDelay = _RETRY_DELAY_MS
+  } = options
+
+  const prefix = `TRMNLPicker: Failed to fetch ${name} from API`
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal.aborted) throw signal.reason
+
+    const controller = new AbortController()
+    const abort = () => controller.abort()
+    const timer = setTimeout(abort, timeout)
+    signal.addEventListener('abort', abort, { once: true })
+    let retryAfter = null
+
+    try {
+      let response
+      try {
+        response = await fetchFn(url, { headers, signal: controller.signal })
+      } catch (error) {
+        if (controller.signal.aborted) {
+          throw new TRMNLPickerNetworkError(`${prefix}: request timed out after ${timeout}ms`, { url, timedOut: true, cause: error })
+        }
+        throw new TRMNLPickerNetworkError(`${prefix}: ${error.message}`, { url, cause: error })
+      }
+
+      if (!response.ok) {
+        retryAfter = _parseRetryAfter(response)
+        throw new TRMNLPickerHttpError(`${prefix}: ${response.status} ${response.statusText}`, {
+          url,
+          status: response.status,
+          statusText: response.statusText
+        })
+      }
+
+      let json
+      try {
+        json = await response.json()
+      } catch (error) {
+        throw new TRMNLPickerPayloadError(`${prefix}: response is not valid JSON`, { url, cause: error })
+      }
+
+      const data = json && (json.data || json)
+      if (!Array.isArray(data) || data.length === 0) {
+        throw new TRMNLPickerPayloadError(`${prefix}: expected a non-empty array of ${name}`, { url })
+      }
+
+      return data
+    } catch (error) {
+      if (signal.aborted) throw signal.reason
+
+      // Network errors and timeouts are retryable, HTTP errors only for specific statuses
+      if (attempt >= retries || !error.retryable) throw error
+
+      const backoff = retryAfter !== null ? retryAfter : retryDelay * 2 ** attempt
+      await _delay(Math.min(backoff, _MAX_RETRY_DELAY_MS), signal)
+    } finally {
+      clearTimeout(timer)
+      signal.removeEventListener('abort', abort)
+    }
+  }
+}
+
+/**
+ * Wait before a retry, stopping early when the request is cancelled
+ * @private
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>} Promise resolving after the delay, or rejecting with the abort reason
+ */
+function _delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Read the Retry-After header of a 429/503 response
+ * @private
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in milliseconds, or null if absent or not applicable
+ */
+function _parseRetryAfter(response) {
+  if (![429, 503].includes(response.status) || !response.headers) return null
+
+  const value = response.headers.get('Retry-After')
+  if (!value) return null
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value)
+  const delay = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000
+
+  return Number.isNaN(delay) ? null : Math.max(0, delay)
+}
+
+/**
+ * Reject a promise early when an AbortSignal is aborted
+ * @private
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Optional signal
+ * @param {Function} [onCancel] - Called once when the signal aborts before the promise settles
+ * @returns {Promise} Promise settling with the original promise or rejecting with the abort reason
+ */
+function _abortable(promise, signal, onCancel) {
+  if (!signal) return promise
+
+  const abortReason = () => signal.reason || new DOMException('The operation was aborted.', 'AbortError')
+
+  if (signal.aborted) {
+    if (onCancel) onCancel()
+    return Promise.reject(abortReason())
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(abortReason())
+      if (onCancel) onCancel()
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
+
+export {
+  API_BASE_URL,
+  getApiUrl,
+  loadApiData,
+  fetchApiData,
+  setCachedApiData
+}
@@ -0,0 +1,6 @@
+import TRMNLPicker from './index.js'
+
+// Script-tag builds register <trmnl-picker> right away; module imports call TRMNLPicker.defineElement()
+TRMNLPicker.defineElement()
+
+export default TRMNLPicker
@@ -0,0 +1,83 @@
+/**
+ * Placeholder for the bundled snapshot of the TRMNL models and palettes catalog, holding
+ * only the OG models. Not generated: `npm run update:catalog` (run before publishing)
+ * replaces it with the full catalog.
+ * @private
+ */
+export default {
+  "updatedAt": null,
+  "models": [
+    {
+      "name": "og_png",
+      "label": "TRMNL OG (1-bit)",
+      "description": "TRMNL OG (1-bit)",
+      "width": 800,
+      "height": 480,
+      "colors": 2,
+      "bit_depth": 1,
+      "scale_factor": 1,
+      "rotation": 0,
+      "mime_type": "image/png",
+      "offset_x": 0,
+      "offset_y": 0,
+      "kind": "trmnl",
+      "palette_ids": [
+        "bw"
+      ],
+      "css": {
+        "classes": {
+          "device": "screen--og",
+          "size": "screen--md"
+        }
+      }
+    },
+    {
+      "name": "og_plus",
+      "label": "TRMNL OG (2-bit)",
+      "description": "TRMNL OG (2-bit)",
+      "width": 800,
+      "height": 480,
+      "colors": 4,
+      "bit_depth": 2,
+      "scale_factor": 1,
+      "rotation": 0,
+      "mime_type": "image/png",
+      "offset_x": 0,
+      "offset_y": 0,
+      "kind": "trmnl",
+      "palette_ids": [
+        "gray-4",
+        "bw"
+      ],
+      "css": {
+        "classes": {
+          "device": "screen--og",
+          "size": "screen--md"
+        }
+      }
+    }
+  ],
+  "palettes": [
+    {
+      "id": "bw",
+      "name": "Black & White",
+      "grays": 2,
+      "colors": null,
+      "framework_class": "screen--1bit"
+    },
+    {
+      "id": "gray-4",
+      "name": "4 Grays",
+      "grays": 4,
+      "colors": null,
+      "framework_class": "screen--2bit"
+    },
+    {
+      "id": "gray-16",
+      "name": "16 Grays",
+      "grays": 16,
+      "colors": null,
+      "framework_class": "screen--4bit"
+    }
+  ]
+}
@@ -0,0 +1,383 @@
+/**
+ * Class name prefix for the elements built by the combobox
+ * @private
+ * @constant {string}
+ */
+const _CLASS_NAME = 'trmnl-picker-combobox'
+
+/**
+ * Counter used to give each combobox unique element IDs
+ * @private
+ * @type {number}
+ */
+let _instanceCount = 0
+
+/**
+ * Check whether a model matches a search query
+ *
+ * Every whitespace-separated term must appear in the model's label, name or
+ * resolution (e.g. "800x480").
+ *
+ * @private
+ * @param {Object} model - Model object
+ * @param {string} query - Search query
+ * @returns {boolean} True if the model matches
+ */
+function _matchesQuery(model, query) {
+  const text = `${model.label || ''} ${model.name} ${model.width}x${model.height}`.toLowerCase()
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => text.includes(term))
+}
+
+/**
+ * Searchable combobox for the model `[data-model-select]`
+ *
+ * Follows the ARIA combobox pattern with a list popup: an `<input role="combobox">`
+ * filters a `role="listbox"` of options, grouped like the select. The original select
+ * is hidden but kept in sync, so it still submits with the form.
+ *
+ * @private
+ * @class ModelCombobox
+ * @param {Object} options - Combobox options
+ * @param {HTMLSelectElement} options.select - Model select to enhance
+ * @param {TRMNLPickerCore} options.core - Core providing the model groups and current model
+ * @param {Messages} options.messages - Strings for the picker's locale
+ * @param {Function} options.onSelect - Called with the chosen model name
+ * @param {string} [options.placeholder] - Placeholder of the search input, instead of the `searchModels` message
+ * @param {Function} [options.formatGroupLabel] - Turns a group label from the core into the displayed one
+ */
+class ModelCombobox {
+  constructor({ select, core, messages, onSelect, placeholder, formatGroupLabel = label => label }) {
+    this.select = select
+    this.core = core
+    this.onSelect = onSelect
+    this.placeholder = placeholder
+    this.formatGroupLabel = formatGroupLabel
+    this.id = `${_CLASS_NAME}-${++_instanceCount}`
+    this.isOpen = false
+    this.matches = []
+    this.activeIndex = -1
+
+    // A label given in the markup wins over the localized fallback
+    this._markupLabel = select.getAttribute('aria-label') ||
+      (select.labels && select.labels[0] ? select.labels[0].textContent.trim() : '')
+
+    this.element = document.createElement('div')
+    this.element.className = _CLASS_NAME
+    this.element.setAttribute('data-model-combobox', '')
+
+    this.input = document.createElement('input')
+    this.input.type = 'text'
+    this.input.className = select.className
+    this.input.autocomplete = 'off'
+    this.input.spellcheck = false
+    this.input.setAttribute('role', 'combobox')
+    this.input.setAttribute('aria-autocomplete', 'list')
+    this.input.setAttribute('aria-expanded', 'false')
+    this.input.setAttribute('aria-controls', `${this.id}-listbox`)
+    this.input.setAttribute('data-model-search', '')
+
+    this.listbox = document.createElement('div')
+    this.listbox.id = `${this.id}-listbox`
+    this.listbox.className = `${_CLASS_NAME}__listbox`
+    this.listbox.setAttribute('role', 'listbox')
+    this.listbox.hidden = true
+
+    this.element.append(this.input, this.listbox)
+
+    this._selectWasHidden = select.hidden
+    select.hidden = true
+    select.after(this.element)
+
+    this.handlers = {
+      input: this._handleInput.bind(this),
+      keydown: this._handleKeydown.bind(this),
+      focus: () => this.input.select(),
+      click: this._handleClick.bind(this),
+      blur: this._handleBlur.bind(this),
+      optionMousedown: this._handleOptionMousedown.bind(this)
+    }
+
+    this.setMessages(messages)
+
+    this.input.addEventListener('input', this.handlers.input)
+    this.input.addEventListener('keydown', this.handlers.keydown)
+    this.input.addEventListener('focus', this.handlers.focus)
+    this.input.addEventListener('click', this.handlers.click)
+    this.input.addEventListener('blur', this.handlers.blur)
+    this.listbox.addEventListener('mousedown', this.handlers.optionMousedown)
+
+    this.update()
+  }
+
+  /**
+   * Apply the strings of a (new) locale: placeholder, labels and the open list
+   * @public
+   * @param {Messages} messages - Strings for the picker's locale
+   */
+  setMessages(messages) {
+    this.messages = messages
+
+    const label = this._markupLabel || messages.format('model')
+    this.input.placeholder = this.placeholder || messages.format('searchModels')
+    this.input.setAttribute('aria-label', label)
+    this.listbox.setAttribute('aria-label', label)
+
+    if (this.isOpen) {
+      this._open(this.input.value)
+    }
+  }
+
+  /**
+   * Show the current model in the input (left alone while the user is searching)
+   * @public
+   */
+  update() {
+    if (this.isOpen) return
+
+    const model = this.core.state.model
+    this.input.value = model ? (model.label || model.name) : ''
+  }
+
+  /**
+   * Re-filter the open list after the catalog changed
+   * @public
+   */
+  refresh() {
+    if (this.isOpen) {
+      this._open(this.input.value)
+    } else {
+      this.update()
+    }
+  }
+
+  /**
+   * Open the list with the models matching a query
+   * @private
+   * @param {string} query - Search query (empty for all models)
+   */
+  _open(query) {
+    const currentName = this.core.params.modelName
+
+    this.listbox.innerHTML = ''
+    this.matches = []
+
+    this.core.modelGroups.forEach(({ label, models }, groupIndex) => {
+      const matches = models.filter(model => _matchesQuery(model, query))
+      if (matches.length === 0) return
+
+      let parent = this.listbox
+      if (label !== null) {
+        parent = document.createElement('div')
+        parent.setAttribute('role', 'group')
+        parent.setAttribute('aria-labelledby', `${this.id}-group-${groupIndex}`)
+
+        const groupLabel = document.createElement('div')
+        groupLabel.id = `${this.id}-group-${groupIndex}`
+        groupLabel.className = `${_CLASS_NAME}__group-label`
+        groupLabel.setAttribute('role', 'presentation')
+        groupLabel.textContent = this.formatGroupLabel(label)
+
+        parent.appendChild(groupLabel)
+        this.listbox.appendChild(parent)
+      }
+
+      matches.forEach(model => {
+        const option = document.createElement('div')
+        option.id = `${this.id}-option-${this.matches.length}`
+        option.className = `${_CLASS_NAME}__option`
+        option.setAttribute('role', 'option')
+        option.setAttribute('aria-selected', String(model.name === currentName))
+        option.dataset.value = model.name
+        option.textContent = model.label || model.name
+        parent.appendChild(option)
+
+        this.matches.push(model)
+      })
+    })
+
+    if (this.matches.length === 0) {
+      const empty = document.createElement('div')
+      empty.className = `${_CLASS_NAME}__empty`
+      empty.setAttribute('role', 'option')
+      empty.setAttribute('aria-disabled', 'true')
+      empty.textContent = this.messages.format('noMatchingModels')
+      this.listbox.appendChild(empty)
+    }
+
+    this.isOpen = true
+    this.activeIndex = -1
+    this.listbox.hidden = false
+    this.input.setAttribute('aria-expanded', 'true')
+    this.input.removeAttribute('aria-activedescendant')
+  }
+
+  /**
+   * Close the list
+   * @private
+   */
+  _close() {
+    this.isOpen = false
+    this.activeIndex = -1
+    this.listbox.hidden = true
+    this.input.setAttribute('aria-expanded', 'false')
+    this.input.removeAttribute('aria-activedescendant')
+  }
+
+  /**
+   * Highlight an option and point aria-activedescendant at it
+   * @private
+   * @param {number} index - Index into the matching models, wrapped around at both ends
+   */
+  _setActive(index) {
+    if (this.matches.length === 0) return
+
+    const count = this.matches.length
+    this.activeIndex = (index + count) % count
+
+    this.listbox.querySelectorAll('[role="option"]').forEach(option => {
+      option.classList.toggle(`${_CLASS_NAME}__option--active`, option.id === `${this.id}-option-${this.activeIndex}`)
+    })
+
+    const active = this.listbox.querySelector(`#${this.id}-option-${this.activeIndex}`)
+    this.input.setAttribute('aria-activedescendant', active.id)
+    if (active.scrollIntoView) {
+      active.scrollIntoView({ block: 'nearest' })
+    }
+  }
+
+  /**
+   * Pick a model, close the list and report the choice if it changed
+   * @private
+   * @param {Object} model - Chosen model
+   */
+  _choose(model) {
+    this._close()
+
+    if (model.name !== this.core.params.modelName) {
+      this.onSelect(model.name)
+    }
+
+    this.update()
+  }
+
+  /**
+   * Open the list with every model, highlighting the current one
+   * @private
+   */
+  _openAll() {
+    this._open('')
+    const current = this.matches.findIndex(model => model.name === this.core.params.modelName)
+    this._setActive(Math.max(current, 0))
+  }
+
+  /**
+   * Filter as the user types, highlighting the first match
+   * @private
+   */
+  _handleInput() {
+    this._open(this.input.value)
+    this._setActive(0)
+  }
+
+  /**
+   * Keyboard navigation: arrows move, Enter picks (the first match when none is highlighted),
+   * Escape and Tab close
+   * @private
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  _handleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        event.preventDefault()
+        const step = event.key === 'ArrowDown' ? 1 : -1
+
+        if (!this.isOpen) {
+          this._openAll()
+        } else {
+          this._setActive(this.activeIndex === -1 && step === -1 ? -1 : this.activeIndex + step)
+        }
+        break
+      }
+      case 'Enter':
+        // The input is often the form's only text field, where Enter would submit the form
+        event.preventDefault()
+
+        if (this.isOpen && this.matches.length > 0) {
+          this._choose(this.matches[Math.max(this.activeIndex, 0)])
+        }
+        break
+      case 'Escape':
+        if (this.isOpen) {
+          event.preventDefault()
+          this._close()
+          this.update()
+        }
+        break
+      case 'Tab':
+        this._close()
+        this.update()
+        break
+    }
+  }
+
+  /**
+   * Toggle the full list when the input is clicked
+   * @private
+   */
+  _handleClick() {
+    if (this.isOpen) {
+      this._close()
+      this.update()
+    } else {
+      this._openAll()
+    }
+  }
+
+  /**
+   * Close the list and restore the current model when focus leaves the input
+   * @private
+   */
+  _handleBlur() {
+    this._close()
+    this.update()
+  }
+
+  /**
+   * Pick an option with the mouse, keeping focus in the input
+   * @private
+   * @param {MouseEvent} event - Mousedown event on the listbox
+   */
+  _handleOptionMousedown(event) {
+    event.preventDefault()
+
+    const option = event.target.closest('[role="option"][data-value]')
+    if (!option) return
+
+    const model = this.matches.find(m => m.name === option.dataset.value)
+    if (model) this._choose(model)
+  }
+
+  /**
+   * Remove the combobox and show the original select again
+   * @public
+   */
+  destroy() {
+    this.input.removeEventListener('input', this.handlers.input)
+    this.input.removeEventListener('keydown', this.handlers.keydown)
+    this.input.removeEventListener('focus', this.handlers.focus)
+    this.input.removeEventListener('click', this.handlers.click)
+    this.input.removeEventListener('blur', this.handlers.blur)
+    this.listbox.removeEventListener('mousedown', this.handlers.optionMousedown)
+
+    this.element.remove()
+    this.select.hidden = this._selectWasHidden
+
+    this.select = null
+    this.core = null
+    this.messages = null
+    this.handlers = null
+  }
+}
+
+export default ModelCombobox
@@ -0,0 +1,891 @@
+import { TRMNLPickerError, TRMNLPickerNoModelsError, TRMNLPickerPayloadError } from './errors.js'
+import validateCatalog from './validate.js'
+
+/**
+ * Default model to select when no params are provided
+ * @private
+ * @constant {string}
+ */
+const _DEFAULT_MODEL_NAME = 'og_plus'
+
+/**
+ * Default preview scale
+ * @private
+ * @constant {number}
+ */
+const _DEFAULT_SCALE = 1
+
+/**
+ * Default list of selectable preview scales
+ * @private
+ * @constant {Array<Object>}
+ */
+const _DEFAULT_SCALES = [
+  { value: 1, label: '1x', className: 'screen--1x' },
+  { value: 2, label: '2x', className: 'screen--2x' }
+]
+
+/**
+ * Keys of the serializable params, as reported in `changedKeys`
+ * @private
+ * @constant {Array<string>}
+ */
+const _PARAM_KEYS = ['modelName', 'paletteId', 'isPortrait', 'isDarkMode', 'scale']
+
+/**
+ * Supported catalog validation modes
+ * @private
+ * @constant {Array<string>}
+ */
+const _VALIDATION_MODES = ['lenient', 'strict']
+
+/**
+ * Supported keys of the model filter option
+ * @private
+ * @constant {Array<string>}
+ */
+const _FILTER_KEYS = ['kinds', 'excludeKinds', 'models', 'excludeModels', 'predicate']
+
+/**
+ * Compare models by label (falling back to name), case-insensitively
+ * @private
+ * @param {Object} a - Model object
+ * @param {Object} b - Model object
+ * @returns {number} Sort order
+ */
+function _compareByLabel(a, b) {
+  const labelA = (a.label || a.name).toLowerCase()
+  const labelB = (b.label || b.name).toLowerCase()
+  return labelA.localeCompare(labelB)
+}
+
+/**
+ * Built-in model sort comparators, selectable by name with the `sortBy` option
+ * @private
+ * @constant {Object<string, Function>}
+ */
+const _MODEL_SORTS = {
+  label: _compareByLabel,
+  name: (a, b) => a.name.localeCompare(b.name),
+  // Fewest pixels first, ties by label
+  resolution: (a, b) => (a.width * a.height - b.width * b.height) || _compareByLabel(a, b)
+}
+
+/**
+ * Built-in model grouping functions, selectable by name with the `groupBy` option
+ * @private
+ * @constant {Object<string, Function>}
+ */
+const _MODEL_GROUPS = {
+  kind: model => model.kind === 'trmnl' ? 'TRMNL' : 'BYOD'
+}
+
+/**
+ * Group order used with the default 'kind' grouping
+ * @private
+ * @constant {Array<string>}
+ */
+const _DEFAULT_GROUP_ORDER = ['TRMNL', 'BYOD']
+
+/**
+ * TRMNLPickerCore - Headless, DOM-free state engine for TRMNL device and palette selection
+ *
+ * Holds the models and palettes catalog plus the current params, and derives the
+ * Framework CSS classes and screen dimensions from them. It never touches `document`,
+ * `window` or `localStorage`, so it can be used in Node, during server-side rendering,
+ * and in tests. {@link TRMNLPicker} is a form-bound view built on top of it.
+ *
+ * @class TRMNLPickerCore
+ * @param {Object} options - Configuration options
+ * @param {Array<Object>} options.models - Array of model objects from TRMNL API
+ * @param {Array<Object>} options.palettes - Array of palette objects from TRMNL API
+ * @param {Object} [options.params] - Initial params, merged over the defaults (see {@link TRMNLPickerCore#setParams})
+ * @param {Array<number|Object>} [options.scales] - Selectable preview scales, as numbers or
+ *   `{ value, label, className }` objects. Integer scales default to the `screen--{value}x` class;
+ *   fractional zooms keep `screen--1x` and only affect `scaledWidth`/`scaledHeight`.
+ *   Defaults to 1x and 2x.
+ * @param {Object} [options.filter] - Restrict which models can be selected. All given conditions must match.
+ * @param {Array<string>} [options.filter.kinds] - Only include models of these kinds (e.g. `['trmnl']`)
+ * @param {Array<string>} [options.filter.excludeKinds] - Exclude models of these kinds
+ * @param {Array<string>} [options.filter.models] - Only include these model names
+ * @param {Array<string>} [options.filter.excludeModels] - Exclude these model names
+ * @param {Function} [options.filter.predicate] - Called with `(model, palettes)`, where `palettes` are the
+ *   model's usable palettes; return false to exclude the model
+ * @param {string|Function|boolean} [options.groupBy='kind'] - How to group models in {@link TRMNLPickerCore#modelGroups}:
+ *   'kind' for "TRMNL" and "BYOD", a function returning a group label for each model, or false for a single ungrouped list
+ * @param {Array<string>} [options.groupOrder] - Group labels in display order; groups not listed follow
+ *   alphabetically. Defaults to `['TRMNL', 'BYOD']`.
+ * @param {string|Function} [options.sortBy='label'] - Order of models within each group: 'label', 'name',
+ *   'resolution' (fewest pixels first), or a comparator function `(a, b) => number`
+ * @param {string} [options.validation='lenient'] - How to handle catalog entries failing {@link validateCatalog}:
+ *   'lenient' drops them with a console warning, 'strict' throws a {@link TRMNLPickerPayloadError}
+ *   listing every problem
+ *
+ * @example
+ * import TRMNLPickerCore from '@trmnl/picker/dist/trmnl-picker-core.mjs'
+ *
+ * const core = new TRMNLPickerCore({ models, palettes, params: { modelName: 'og_plus', isDarkMode: true } })
+ * core.screenClasses
+ * // ['screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--1x', 'screen--dark-mode']
+ *
+ * const unsubscribe = core.subscribe(({ origin, screenClasses, width, height }) => {
+ *   console.log(origin, screenClasses, width, height)
+ * })
+ *
+ * core.setParams({ isPortrait: true })
+ * unsubscribe()
+ *
+ * // Only TRMNL hardware, without the PNG variant
+ * const trmnlOnly = new TRMNLPickerCore({
+ *   models,
+ *   palettes,
+ *   filter: { kinds: ['trmnl'], excludeModels: ['og_png'] }
+ * })
+ *
+ * // Group by size class, largest screens first
+ * const bySize = new TRMNLPickerCore({
+ *   models,
+ *   palettes,
+ *   groupBy: model => model.css.classes.size,
+ *   groupOrder: ['screen--lg', 'screen--md', 'screen--sm'],
+ *   sortBy: (a, b) => b.width * b.height - a.width * a.height
+ * })
+ */
+class TRMNLPickerCore {
+  /**
+   * Validate a models and palettes catalog (see {@link validateCatalog})
+   * @type {Function}
+   */
+  static validateCatalog = validateCatalog
+
+  constructor(options = {}) {
+    const {
+      models,
+      palettes,
+      params,
+      scales = _DEFAULT_SCALES,
+      filter,
+      groupBy = 'kind',
+      groupOrder,
+      sortBy = 'label',
+      validation = 'lenient'
+    } = options
+
+    if (!_VALIDATION_MODES.includes(validation)) {
+      throw new Error(`TRMNLPicker: validation must be one of: ${_VALIDATION_MODES.join(', ')}`)
+    }
+
+    this.validation = validation
+    this.scales = this._normalizeScales(scales)
+    this.filter = this._normalizeFilter(filter)
+    this._groupBy = this._resolveOption('groupBy', groupBy, _MODEL_GROUPS)
+    this._sortBy = this._resolveOption('sortBy', sortBy, _MODEL_SORTS)
+    this._groupOrder = groupOrder || (groupBy === 'kind' ? _DEFAULT_GROUP_ORDER : [])
+
+    if (!Array.isArray(this._groupOrder)) {
+      throw new Error('TRMNLPicker: groupOrder must be an array')
+    }
+    this._applyCatalog(models, palettes)
+
+    this._listeners = new Set()
+    this._state = {}
+
+    // Apply defaults first so a model that is unknown or filtered out leaves a valid selection
+    this._setParams(null, this.defaultParams)
+    if (params) {
+      this._setParams(null, params)
+    }
+  }
+
+  /**
+   * Resolve a grouping or sorting option to a function
+   * @private
+   * @param {string} name - Option name, for error messages
+   * @param {string|Function|boolean} value - Built-in name, custom function, or false (groupBy only)
+   * @param {Object<string, Function>} builtIns - Built-in functions by name
+   * @returns {Function|null} The function, or null when turned off
+   * @throws {Error} If the value is not a known name or a function
+   */
+  _resolveOption(name, value, builtIns) {
+    if (typeof value === 'function') return value
+    if (value === false && name === 'groupBy') return null
+    if (typeof value === 'string' && builtIns[value]) return builtIns[value]
+
+    throw new Error(`TRMNLPicker: ${name} must be a function or one of: ${Object.keys(builtIns).join(', ')}`)
+  }
+
+  /**
+   * Validate the model filter option
+   * @private
+   * @param {Object} [filter] - Model filter
+   * @returns {Object|null} The filter, or null when none is given
+   * @throws {Error} If the filter has unknown keys or values of the wrong type
+   */
+  _normalizeFilter(filter) {
+    if (filter === undefined || filter === null) return null
+
+    if (typeof filter !== 'object') {
+      throw new Error('TRMNLPicker: filter must be an object')
+    }
+
+    for (const [key, value] of Object.entries(filter)) {
+      if (!_FILTER_KEYS.includes(key)) {
+        throw new Error(`TRMNLPicker: unknown filter option "${key}" (expected one of: ${_FILTER_KEYS.join(', ')})`)
+      }
+
+      if (value === undefined) continue
+
+      if (key === 'predicate') {
+        if (typeof value !== 'function') {
+          throw new Error('TRMNLPicker: filter.predicate must be a function')
+        }
+      } else if (!Array.isArray(value)) {
+        throw new Error(`TRMNLPicker: filter.${key} must be an array`)
+      }
+    }
+
+    return filter
+  }
+
+  /**
+   * Normalize scale definitions to `{ value, label, className }` objects
+   * @private
+   * @param {Array<number|Object>} scales - Scale numbers or objects
+   * @returns {Array<Object>} Normalized scales
+   * @throws {Error} If scales is empty or contains a non-positive value
+   */
+  _normalizeScales(scales) {
+    if (!Array.isArray(scales) || scales.length === 0) {
+      throw new Error('TRMNLPicker: scales must be a non-empty array')
+    }
+
+    return scales.map(scale => {
+      const { value, label, className } = typeof scale === 'number' ? { value: scale } : scale
+
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`TRMNLPicker: invalid scale value "${value}"`)
+      }
+
+      return {
+        value,
+        label: label || `${value}x`,
+        className: className || (Number.isInteger(value) ? `screen--${value}x` : 'screen--1x')
+      }
+    })
+  }
+
+  /**
+   * Check whether a palette can be rendered (has a non-empty framework_class)
+   * @private
+   * @param {Object} palette - Palette object
+   * @returns {boolean} True if the palette is usable
+   */
+  _isValidPalette(palette) {
+    return Boolean(palette && palette.framework_class && palette.framework_class.trim() !== '')
+  }
+
+  /**
+   * Validate and store models and palettes
+   * @private
+   * @param {Array<Object>} models - Models array
+   * @param {Array<Object>} palettes - Palettes array
+   * @throws {TRMNLPickerPayloadError} If either array is empty, or entries fail validation in strict mode
+   *   (or leave nothing usable in lenient mode)
+   * @throws {TRMNLPickerNoModelsError} If no model has a usable palette
+   */
+  _applyCatalog(models, palettes) {
+    if (!Array.isArray(models) || models.length === 0) {
+      throw new TRMNLPickerPayloadError('TRMNLPicker: models must be a non-empty array')
+    }
+
+    if (!Array.isArray(palettes) || palettes.length === 0) {
+      throw new TRMNLPickerPayloadError('TRMNLPicker: palettes must be a non-empty array')
+    }
+
+    const result = validateCatalog({ models, palettes })
+    if (!result.valid) {
+      const problems = result.errors
+      const list = problems.map(problem => `  - ${problem.message}`).join('\n')
+
+      if (this.validation === 'strict' || result.models.length === 0 || result.palettes.length === 0) {
+        throw new TRMNLPickerPayloadError(`TRMNLPicker: invalid catalog:\n${list}`, { problems })
+      }
+
+      console.warn(`TRMNLPicker: dropping invalid catalog entries:\n${list}`)
+      models = result.models
+      palettes = result.palettes
+    }
+
+    // Filter out models where all palettes have empty framework_class
+    const validModels = this._filterValidModels(models, palettes)
+
+    if (validModels.length === 0) {
+      throw new TRMNLPickerNoModelsError('TRMNLPicker: no valid models found (all models have palettes with empty framework_class)')
+    }
+
+    // Then apply the caller's filter
+    const allowedModels = validModels.filter(model => this._isAllowedModel(model, palettes))
+
+    if (allowedModels.length === 0) {
+      throw new TRMNLPickerNoModelsError('TRMNLPicker: no models match the model filter')
+    }
+
+    this.palettes = palettes
+    this.models = allowedModels
+    this._excludedModelNames = new Set(
+      validModels.filter(model => !allowedModels.includes(model)).map(model => model.name)
+    )
+  }
+
+  /**
+   * Check a model against the model filter
+   * @private
+   * @param {Object} model - Model object
+   * @param {Array<Object>} palettes - Palettes array
+   * @returns {boolean} True if the model passes every condition of the filter
+   */
+  _isAllowedModel(model, palettes) {
+    const filter = this.filter
+    if (!filter) return true
+
+    if (filter.kinds && !filter.kinds.includes(model.kind)) return false
+    if (filter.excludeKinds && filter.excludeKinds.includes(model.kind)) return false
+    if (filter.models && !filter.models.includes(model.name)) return false
+    if (filter.excludeModels && filter.excludeModels.includes(model.name)) return false
+    if (filter.predicate) {
+      const modelPalettes = model.palette_ids
+        .map(paletteId => palettes.find(p => p.id === paletteId))
+        .filter(palette => this._isValidPalette(palette))
+
+      if (!filter.predicate(model, modelPalettes)) return false
+    }
+
+    return true
+  }
+
+  /**
+   * Reject a model that exists in the catalog but is excluded by the model filter
+   *
+   * Unknown models pass, since setting them is ignored. Views call it before storing params
+   * for later, e.g. presets or comparison entries.
+   *
+   * @public
+   * @param {Object} params - Params that would be passed to setParams
+   * @throws {TRMNLPickerError} If params.modelName is a filtered-out model
+   *
+   * @example
+   * core.assertModelAllowed({ modelName: 'og_png' }) // throws with filter: { excludeModels: ['og_png'] }
+   */
+  assertModelAllowed(params) {
+    if (params && this._excludedModelNames.has(params.modelName)) {
+      throw new TRMNLPickerError(`TRMNLPicker: model "${params.modelName}" is excluded by the model filter`)
+    }
+  }
+
+  /**
+   * Filter out models where all their palettes have empty framework_class
+   * @private
+   * @param {Array<Object>} models - Models array
+   * @param {Array<Object>} palettes - Palettes array
+   * @returns {Array<Object>} Filtered models array
+   */
+  _filterValidModels(models, palettes) {
+    return models.filter(model => {
+      // Check if at least one palette for this model has a non-empty framework_class
+      return model.palette_ids.some(paletteId => {
+        return this._isValidPalette(palettes.find(p => p.id === paletteId))
+      })
+    })
+  }
+
+  /**
+   * Get the usable palettes of a model, in the model's palette_ids order
+   * @public
+   * @param {Object} model - Model object
+   * @returns {Array<Object>} Palette objects with a non-empty framework_class
+   */
+  getModelPalettes(model) {
+    if (!model) return []
+
+    return model.palette_ids
+      .map(paletteId => this.palettes.find(p => p.id === paletteId))
+      .filter(palette => this._isValidPalette(palette))
+  }
+
+  /**
+   * Get the colors a palette can display, for swatch previews
+   *
+   * Uses the palette's `colors` when the API provides them, otherwise evenly spaced
+   * grey levels from black to white based on `grays`.
+   *
+   * @public
+   * @param {Object} palette - Palette object
+   * @returns {Array<string>|null} CSS colors, or null when the palette has no color data
+   *
+   * @example
+   * core.getPaletteColors({ id: 'gray-4', grays: 4, colors: null })
+   * // ['#000000', '#555555', '#aaaaaa', '#ffffff']
+   */
+  getPaletteColors(palette) {
+    if (!palette) return null
+
+    if (Array.isArray(palette.colors) && palette.colors.length > 0) {
+      return [...palette.colors]
+    }
+
+    if (Number.isInteger(palette.grays) && palette.grays >= 2) {
+      return Array.from({ length: palette.grays }, (_, index) => {
+        const level = Math.round(index * 255 / (palette.grays - 1)).toString(16).padStart(2, '0')
+        return `#${level}${level}${level}`
+      })
+    }
+
+    return null
+  }
+
+  /**
+   * Get the first valid palette ID for a model (one with non-empty framework_class)
+   * @public
+   * @param {Object} model - Model object
+   * @returns {string|null} First valid palette ID or null
+   */
+  getFirstValidPaletteId(model) {
+    const [palette] = this.getModelPalettes(model)
+    return palette ? palette.id : null
+  }
+
+  /**
+   * Get models grouped and sorted for display, according to the `groupBy`, `groupOrder` and `sortBy` options
+   *
+   * By default models are split into "TRMNL" and "BYOD" groups, each sorted alphabetically by label.
+   * With `groupBy: false` a single group with a null label is returned.
+   *
+   * @public
+   * @returns {Array<{label: string|null, models: Array<Object>}>} Non-empty groups in display order
+   */
+  get modelGroups() {
+    const sorted = [...this.models].sort(this._sortBy)
+
+    if (!this._groupBy) {
+      return [{ label: null, models: sorted }]
+    }
+
+    const groups = new Map()
+    for (const model of sorted) {
+      const label = String(this._groupBy(model))
+      if (!groups.has(label)) groups.set(label, [])
+      groups.get(label).push(model)
+    }
+
+    // Listed groups first in the given order, then the rest alphabetically
+    const rank = label => {
+      const index = this._groupOrder.indexOf(label)
+      return index === -1 ? this._groupOrder.length : index
+    }
+
+    return [...groups.keys()]
+      .sort((a, b) => (rank(a) - rank(b)) || a.localeCompare(b))
+      .map(label => ({ label, models: groups.get(label) }))
+  }
+
+  /**
+   * Get the params used when nothing else is provided: the default model
+   * (or the first one in display order), its first valid palette, landscape and light mode
+   * @public
+   * @returns {Object} Default params
+   */
+  get defaultParams() {
+    const sortedModels = this.modelGroups.flatMap(group => group.models)
+    const defaultModel = sortedModels.find(m => m.name === _DEFAULT_MODEL_NAME) || sortedModels[0]
+    const defaultScale = this.scales.find(s => s.value === _DEFAULT_SCALE) || this.scales[0]
+
+    return {
+      modelName: defaultModel.name,
+      paletteId: this.getFirstValidPaletteId(defaultModel),
+      isPortrait: false,
+      isDarkMode: false,
+      scale: defaultScale.value
+    }
+  }
+
+  /**
+   * Get the params that reset the current model to its defaults:
+   * first valid palette, landscape orientation, light mode (scale is a
+   * preview setting and is left alone)
+   * @public
+   * @returns {Object} Params for the current model's defaults
+   */
+  get modelDefaultParams() {
+    return {
+      paletteId: this.getFirstValidPaletteId(this._state.model),
+      isPortrait: false,
+      isDarkMode: false
+    }
+  }
+
+  /**
+   * Whether palette, orientation, and dark mode are all at the current model's defaults
+   * @public
+   * @returns {boolean} True if resetting would change nothing
+   */
+  get isAtModelDefaults() {
+    const defaults = this.modelDefaultParams
+    return String(this._state.palette?.id) === String(defaults.paletteId) &&
+      this._state.isPortrait === defaults.isPortrait &&
+      this._state.isDarkMode === defaults.isDarkMode
+  }
+
+  /**
+   * Get CSS classes for the current picker configuration
+   * @public
+   * @returns {Array<string>} Array of CSS class names for Framework CSS rendering
+   *
+   * Generated classes (in order):
+   * 1. 'screen' - Base class (always present)
+   * 2. palette.framework_class - From selected palette (e.g., 'screen--1bit')
+   * 3. model.css.classes.device - From model API (e.g., 'screen--v2')
+   * 4. model.css.classes.size - From model API (e.g., 'screen--md')
+   * 5. 'screen--portrait' - Only when portrait orientation is enabled
+   * 6. Scale class - From the selected scale (e.g., 'screen--1x', 'screen--2x')
+   * 7. 'screen--dark-mode' - Only when dark mode is enabled
+   *
+   * @example
+   * const classes = core.screenClasses
+   * // ['screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--1x']
+   */
+  get screenClasses() {
+    const model = this._state.model
+    const palette = this._state.palette
+
+    if (!model) {
+      throw new Error('No model selected')
+    }
+
+    const classes = []
+
+    // 0. Base screen class (always present)
+    classes.push('screen')
+
+    // 1. Palette framework class
+    if (palette && palette.framework_class) {
+      classes.push(palette.framework_class)
+    }
+
+    // 2. Model device class (from API)
+    if (model.css && model.css.classes && model.css.classes.device) {
+      classes.push(model.css.classes.device)
+    }
+
+    // 3. Model size class (from API)
+    if (model.css && model.css.classes && model.css.classes.size) {
+      classes.push(model.css.classes.size)
+    }
+
+    // 4. Orientation (UI state, only portrait - landscape is default)
+    if (this._state.isPortrait) {
+      classes.push('screen--portrait')
+    }
+
+    // 5. Scale (UI state)
+    classes.push(this._getScale().className)
+
+    // 6. Dark mode (UI state, conditional)
+    if (this._state.isDarkMode) {
+      classes.push('screen--dark-mode')
+    }
+
+    return classes
+  }
+
+  /**
+   * Get every class {@link TRMNLPickerCore#screenClasses} can produce with the current catalog and scales,
+   * e.g. to clear screen classes that no longer apply from a preview element
+   * @public
+   * @returns {Array<string>} Unique CSS class names
+   *
+   * @example
+   * const stale = core.allScreenClasses.filter(className => !core.screenClasses.includes(className))
+   * preview.classList.remove(...stale)
+   */
+  get allScreenClasses() {
+    const classes = new Set(['screen', 'screen--portrait', 'screen--dark-mode'])
+
+    this.palettes.forEach(palette => {
+      if (palette.framework_class) classes.add(palette.framework_class)
+    })
+
+    this.models.forEach(model => {
+      const modelClasses = (model.css && model.css.classes) || {}
+      if (modelClasses.device) classes.add(modelClasses.device)
+      if (modelClasses.size) classes.add(modelClasses.size)
+    })
+
+    this.scales.forEach(scale => classes.add(scale.className))
+
+    return [...classes]
+  }
+
+  /**
+   * Get the selected scale definition
+   * @private
+   * @returns {Object} Scale object with value, label and className
+   */
+  _getScale() {
+    return this.scales.find(s => s.value === this._state.scale) || this.scales[0]
+  }
+
+  /**
+   * Get current dimensions of the screen in pixels: logical (width, height) and
+   * multiplied by the preview scale (scaledWidth, scaledHeight)
+   * @public
+   * @returns {{ width: number, height: number, scaledWidth: number, scaledHeight: number }} Dimensions
+   */
+  get dimensions() {
+    const model = this._state.model
+    const scale = this._getScale().value
+
+    let width = model.width / model.scale_factor
+    let height = model.height / model.scale_factor
+
+    if (this._state.isPortrait) {
+      [width, height] = [height, width]
+    }
+
+    return { width, height, scaledWidth: width * scale, scaledHeight: height * scale }
+  }
+
+  /**
+   * Get current picker parameters (serializable state)
+   * @public
+   * @returns {Object} Current parameters (modelName, paletteId, isPortrait, isDarkMode, scale)
+   */
+  get params() {
+    return {
+      modelName: this._state.model?.name,
+      paletteId: this._state.palette?.id,
+      isPortrait: this._state.isPortrait,
+      isDarkMode: this._state.isDarkMode,
+      scale: this._state.scale
+    }
+  }
+
+  /**
+   * Get complete picker state including full model and palette objects,
+   * screen classes and dimensions
+   * @public
+   * @returns {Object} State object (same shape as {@link TRMNLPicker#state})
+   */
+  get state() {
+    return {
+      screenClasses: this.screenClasses,
+      ...this.dimensions,
+      ...this._state,
+    }
+  }
+
+  /**
+   * Work out the params and state a set of params would produce, without changing the
+   * current selection or notifying subscribers
+   *
+   * Params are applied over the current ones the same way {@link TRMNLPickerCore#setParams}
+   * would apply them; a model given without a palette gets its first valid palette.
+   *
+   * @public
+   * @param {Object} params - Params to resolve (all fields optional)
+   * @returns {{params: Object, state: Object}} Resolved params and state (same shapes as
+   *   {@link TRMNLPickerCore#params} and {@link TRMNLPickerCore#state})
+   *
+   * @example
+   * const { state } = core.resolve({ modelName: 'og_png', isPortrait: true })
+   * state.screenClasses // ['screen', 'screen--1bit', 'screen--og', 'screen--md', 'screen--portrait', 'screen--1x']
+   */
+  resolve(params) {
+    const current = this._state
+    this._state = { ...current }
+
+    try {
+      this._setParams(null, params)
+      return { params: this.params, state: this.state }
+    } finally {
+      this._state = current
+    }
+  }
+
+  /**
+   * Update params and notify subscribers
+   * @public
+   * @param {Object} params - Configuration object (all fields optional)
+   * @param {string} [params.modelName] - Model name to select
+   * @param {string} [params.paletteId] - Palette ID to select
+   * @param {boolean} [params.isPortrait] - Portrait orientation
+   * @param {boolean} [params.isDarkMode] - Dark mode enabled
+   * @param {number} [params.scale] - Preview scale (one of the configured scale values)
+   * @param {string} [origin='setParams'] - Origin reported to subscribers
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.silent=false] - Update without notifying subscribers, e.g. to set up a
+   *   view's initial state before a single {@link TRMNLPickerCore#notify}
+   * @returns {boolean} True if any changes were made
+   * @throws {Error} If params is not an object
+   * @throws {TRMNLPickerError} If params.modelName is excluded by the model filter
+   */
+  setParams(params, origin = 'setParams', { silent = false } = {}) {
+    this.assertModelAllowed(params)
+    return this._setParams(silent ? null : origin, params)
+  }
+
+  /**
+   * Internal method to update state with origin tracking
+   *
+   * Subscribers are only notified when a param actually changed, so setting the
+   * current values again is a no-op.
+   *
+   * @private
+   * @param {string|null} origin - Source of change; subscribers are not notified when null
+   * @param {Object} params - Parameters to update
+   * @returns {boolean} True if any param changed
+   */
+  _setParams(origin, params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params must be an object')
+    }
+
+    // Snapshot for the change detail (there is no state yet while constructing)
+    const previousState = origin ? this.state : null
+    const previousParams = this.params
+
+    // Update model if provided, selecting its first valid palette
+    if (params.modelName) {
+      const model = this.models.find(m => m.name === params.modelName)
+      if (model) {
+        const firstPaletteId = this.getFirstValidPaletteId(model)
+        this._state.model = model
+        this._state.palette = this.palettes.find(p => p.id === firstPaletteId)
+      }
+    }
+
+    // Update palette if provided and usable by the model (saved state may name a model that
+    // is no longer available, whose palette must not be applied to the fallback model)
+    if (params.paletteId) {
+      const palette = this.getModelPalettes(this._state.model).find(p => p.id === params.paletteId)
+      if (palette) {
+        this._state.palette = palette
+      }
+    }
+
+    // Update orientation if provided
+    if (typeof params.isPortrait === 'boolean') {
+      this._state.isPortrait = params.isPortrait
+    }
+
+    // Update dark mode if provided
+    if (typeof params.isDarkMode === 'boolean') {
+      this._state.isDarkMode = params.isDarkMode
+    }
+
+    // Update scale if provided (accepts numeric strings from form controls and URLs)
+    if (params.scale !== undefined && params.scale !== null) {
+      const scale = this.scales.find(s => s.value === Number(params.scale))
+      if (scale) {
+        this._state.scale = scale.value
+      }
+    }
+
+    const currentParams = this.params
+    const changedKeys = _PARAM_KEYS.filter(key => previousParams[key] !== currentParams[key])
+
+    if (changedKeys.length > 0 && origin) {
+      this.notify(origin, previousState, changedKeys)
+    }
+
+    return changedKeys.length > 0
+  }
+
+  /**
+   * Replace the models and palettes catalog, keeping the current selection where it is still valid
+   *
+   * A model that is no longer available falls back to the default model; a palette that
+   * is no longer available for the model falls back to the model's first valid palette.
+   * Subscribers are always notified, since model and palette objects are replaced.
+   *
+   * @public
+   * @param {Object} catalog - New catalog
+   * @param {Array<Object>} catalog.models - Array of model objects
+   * @param {Array<Object>} catalog.palettes - Array of palette objects
+   * @param {string} [origin='catalog'] - Origin reported to subscribers
+   * @throws {Error} If the catalog is invalid (the current catalog is kept)
+   */
+  setCatalog({ models, palettes }, origin = 'catalog') {
+    const previousState = this.state
+    const previous = this.params
+
+    this._applyCatalog(models, palettes)
+
+    const model = this.models.find(m => m.name === previous.modelName)
+    const params = model
+      ? { ...previous }
+      : { ...this.defaultParams, isPortrait: previous.isPortrait, isDarkMode: previous.isDarkMode, scale: previous.scale }
+
+    if (model && !this.getModelPalettes(model).some(p => p.id === previous.paletteId)) {
+      delete params.paletteId
+    }
+
+    this._state = {}
+    this._setParams(null, params)
+
+    const current = this.params
+    this.notify(origin, previousState, _PARAM_KEYS.filter(key => previous[key] !== current[key]))
+  }
+
+  /**
+   * Subscribe to state changes
+   * @public
+   * @param {Function} listener - Called with `{ origin, ...state, previous, changedKeys }` after every change,
+   *   where `previous` is the state before the change (null for the first one) and `changedKeys`
+   *   lists the params that changed
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * const unsubscribe = core.subscribe(({ origin, screenClasses, changedKeys }) => {
+   *   console.log(origin, screenClasses, changedKeys)
+   * })
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('TRMNLPicker: listener must be a function')
+    }
+
+    this._listeners.add(listener)
+    return () => this._listeners.delete(listener)
+  }
+
+  /**
+   * Call all subscribers with the current state, whether or not anything changed
+   *
+   * Used by views to render their initial state after a silent {@link TRMNLPickerCore#setParams}.
+   *
+   * @public
+   * @param {string} origin - Origin reported to subscribers
+   * @param {Object|null} [previous=null] - State before the change
+   * @param {Array<string>} [changedKeys] - Params that changed (all of them by default)
+   *
+   * @example
+   * core.setParams(savedParams, 'constructor', { silent: true })
+   * core.notify('constructor')
+   */
+  notify(origin, previous = null, changedKeys = _PARAM_KEYS) {
+    const detail = { origin, ...this.state, previous, changedKeys: [...changedKeys] }
+    for (const listener of [...this._listeners]) {
+      listener(detail)
+    }
+  }
+
+  /**
+   * Remove all subscribers
+   * @public
+   */
+  destroy() {
+    this._listeners.clear()
+  }
+}
+
+export default TRMNLPickerCore
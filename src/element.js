@@ -0,0 +1,321 @@
+/**
+ * Default tag name for the custom element
+ * @private
+ * @constant {string}
+ */
+const _DEFAULT_TAG_NAME = 'trmnl-picker'
+
+/**
+ * Attributes mapped to picker params, with how to read each one
+ * @private
+ * @constant {Object<string, {param: string, type: string}>}
+ */
+const _PARAM_ATTRIBUTES = {
+  model: { param: 'modelName', type: 'string' },
+  palette: { param: 'paletteId', type: 'string' },
+  portrait: { param: 'isPortrait', type: 'boolean' },
+  'dark-mode': { param: 'isDarkMode', type: 'boolean' },
+  scale: { param: 'scale', type: 'number' }
+}
+
+/**
+ * Convert an attribute value to a param value
+ * @private
+ * @param {string|null} value - Attribute value
+ * @param {string} type - Param type ('string', 'boolean' or 'number')
+ * @returns {*} Param value, or undefined if the attribute does not set one
+ */
+function _attributeToParam(value, type) {
+  if (type === 'boolean') return value !== null && value !== 'false'
+  if (!value) return undefined
+  return type === 'number' ? Number(value) : value
+}
+
+/**
+ * Read initial params from the element's attributes
+ * @private
+ * @param {Element} element - Custom element
+ * @returns {Object} Params for the attributes that are present
+ */
+function _paramsFromAttributes(element) {
+  const params = {}
+
+  for (const [attribute, { param, type }] of Object.entries(_PARAM_ATTRIBUTES)) {
+    // Absent boolean attributes leave the param to saved state and defaults
+    if (!element.hasAttribute(attribute)) continue
+
+    const value = _attributeToParam(element.getAttribute(attribute), type)
+    if (value !== undefined) params[param] = value
+  }
+
+  return params
+}
+
+/**
+ * Define and register the `<trmnl-picker>` custom element
+ *
+ * The element renders its own controls into a child `<form>` (or into a form
+ * provided as a child, adding only the controls it is missing) using the picker's
+ * `render` mode, creates a
+ * {@link TRMNLPicker} for it, reflects state back to its attributes, and
+ * re-dispatches `trmnl:change` from itself. `trmnl:ready` and `trmnl:error` bubble up from the form.
+ *
+ * Attributes:
+ * - `local-storage-key` - Key for persisting state
+ * - `storage` - Where state is persisted ('localStorage', 'sessionStorage' or 'cookie')
+ * - `url-mode` - URL sync mode ('query' or 'hash')
+ * - `api-base-url` - Base URL of the server to fetch models and palettes from
+ * - `model-search` - Boolean, use the searchable model combobox
+ * - `palette-swatches` - Boolean, show palettes with color swatches
+ * - `announce` - Boolean, announce changes in a live region
+ * - `shortcuts` - Boolean, enable the default keyboard shortcuts
+ * - `targets` - Selector of preview elements to apply the screen classes to
+ * - `sync` - Sync channel name, or empty to sync through `local-storage-key`
+ * - `validation` - Catalog validation mode ('lenient' or 'strict')
+ * - `locale` - Language of the controls ('en', 'de', 'ja'); can be changed at any time
+ * - `model` - Model name (reflected)
+ * - `palette` - Palette ID (reflected)
+ * - `portrait` - Boolean, portrait orientation (reflected)
+ * - `dark-mode` - Boolean, dark mode (reflected)
+ * - `scale` - Preview scale (reflected)
+ *
+ * `models` and `palettes` can be set as properties before the element is connected
+ * to skip fetching them from the API, along with `render`, `scales`, `filter`, `groupBy`, `groupOrder`,
+ * `sortBy`, `modelSearch`, `paletteSwatches`, `targets`, `afterApply`, `storage`, `presets`, `messages` and `shortcuts` (see the matching
+ * options of {@link TRMNLPicker}).
+ *
+ * Called by {@link TRMNLPicker.defineElement}, which the browser builds run with the default
+ * tag name when they load.
+ *
+ * @param {Function} Picker - TRMNLPicker class
+ * @param {string} [tagName='trmnl-picker'] - Tag name to register
+ * @returns {Function|undefined} The element class, or undefined outside the browser
+ *
+ * @example
+ * // <trmnl-picker local-storage-key="my-picker" model="og_plus" dark-mode></trmnl-picker>
+ *
+ * document.querySelector('trmnl-picker').addEventListener('trmnl:change', (event) => {
+ *   console.log(event.detail.screenClasses)
+ * })
+ *
+ * // Provide your own form layout
+ * // <trmnl-picker>
+ * //   <form><select data-model-select class="my-select"></select></form>
+ * // </trmnl-picker>
+ */
+function defineTRMNLPickerElement(Picker, tagName = _DEFAULT_TAG_NAME) {
+  if (typeof window === 'undefined' || !window.customElements) return undefined
+
+  const existing = window.customElements.get(tagName)
+  if (existing) return existing
+
+  class TRMNLPickerElement extends window.HTMLElement {
+    static get observedAttributes() {
+      return [...Object.keys(_PARAM_ATTRIBUTES), 'locale']
+    }
+
+    constructor() {
+      super()
+      this.picker = null
+      this.models = undefined
+      this.palettes = undefined
+      this.render = undefined
+      this.scales = undefined
+      this.filter = undefined
+      this.groupBy = undefined
+      this.groupOrder = undefined
+      this.sortBy = undefined
+      this.modelSearch = undefined
+      this.paletteSwatches = undefined
+      this.targets = undefined
+      this.afterApply = undefined
+      this.storage = undefined
+      this.presets = undefined
+      this.messages = undefined
+      this.shortcuts = undefined
+      this._createdForm = null
+      this._reflecting = false
+      this._handleFormChange = this._handleFormChange.bind(this)
+      this._handleFormReady = this._handleFormReady.bind(this)
+      this._handleFormError = this._handleFormError.bind(this)
+      this._reportedError = null
+    }
+
+    /**
+     * Resolves with the picker once it has been created
+     * @returns {Promise<TRMNLPicker>}
+     */
+    get ready() {
+      return this._ready || Promise.reject(new Error('TRMNLPicker: element is not connected'))
+    }
+
+    get state() {
+      return this.picker ? this.picker.state : null
+    }
+
+    get params() {
+      return this.picker ? this.picker.params : null
+    }
+
+    setParams(params) {
+      if (!this.picker) {
+        throw new Error('TRMNLPicker: element is not ready')
+      }
+
+      this.picker.setParams(params)
+    }
+
+    connectedCallback() {
+      if (this._ready) return
+
+      let form = this.querySelector('form')
+      if (!form) {
+        form = document.createElement('form')
+        this.appendChild(form)
+        this._createdForm = form
+      }
+
+      this.formElement = form
+      form.addEventListener('trmnl:change', this._handleFormChange)
+      form.addEventListener('trmnl:ready', this._handleFormReady)
+      form.addEventListener('trmnl:error', this._handleFormError)
+
+      const options = {
+        models: this.models,
+        palettes: this.palettes,
+        localStorageKey: this.getAttribute('local-storage-key') || undefined,
+        storage: this.storage || this.getAttribute('storage') || undefined,
+        presets: this.presets,
+        locale: this.getAttribute('locale') || undefined,
+        messages: this.messages,
+        urlMode: this.getAttribute('url-mode') || undefined,
+        apiBaseUrl: this.getAttribute('api-base-url') || undefined,
+        params: _paramsFromAttributes(this),
+        render: this.render || true,
+        scales: this.scales,
+        filter: this.filter,
+        groupBy: this.groupBy,
+        groupOrder: this.groupOrder,
+        sortBy: this.sortBy,
+        modelSearch: this.modelSearch || this.hasAttribute('model-search'),
+        paletteSwatches: this.paletteSwatches || this.hasAttribute('palette-swatches'),
+        announce: this.hasAttribute('announce'),
+        shortcuts: this.shortcuts || this.hasAttribute('shortcuts'),
+        targets: this.targets || this.getAttribute('targets') || undefined,
+        afterApply: this.afterApply,
+        sync: this.hasAttribute('sync') ? (this.getAttribute('sync') || true) : undefined,
+        validation: this.getAttribute('validation') || undefined
+      }
+
+      this._ready = Picker.create(form, options).then(picker => {
+        // Disconnected while loading
+        if (this.formElement !== form) {
+          picker.destroy()
+          return picker
+        }
+
+        this.picker = picker
+        return picker
+      })
+
+      // Loading failures bubble up from the form as trmnl:error; report the rest (e.g. invalid options) the same way
+      this._ready.catch(error => {
+        if (error === this._reportedError || this.formElement !== form) return
+
+        this.dispatchEvent(new CustomEvent('trmnl:error', {
+          detail: { error, retry: () => Picker.create(form, options) },
+          bubbles: true,
+          composed: true
+        }))
+      })
+    }
+
+    disconnectedCallback() {
+      if (this.formElement) {
+        this.formElement.removeEventListener('trmnl:change', this._handleFormChange)
+        this.formElement.removeEventListener('trmnl:ready', this._handleFormReady)
+        this.formElement.removeEventListener('trmnl:error', this._handleFormError)
+      }
+
+      if (this.picker) {
+        this.picker.destroy()
+      }
+
+      if (this._createdForm) {
+        this._createdForm.remove()
+        this._createdForm = null
+      }
+
+      this.formElement = null
+      this.picker = null
+      this._ready = null
+      this._reportedError = null
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.picker || this._reflecting || oldValue === newValue) return
+
+      if (name === 'locale') {
+        this.picker.setLocale(newValue || undefined, this.messages)
+        return
+      }
+
+      const { param, type } = _PARAM_ATTRIBUTES[name]
+      const value = _attributeToParam(newValue, type)
+      if (value !== undefined) {
+        this.picker.setParams({ [param]: value })
+      }
+    }
+
+    /**
+     * Pick up the picker once it is created, including after a `trmnl:error` retry
+     * @private
+     * @param {CustomEvent} event - 'trmnl:ready' event from the form
+     */
+    _handleFormReady(event) {
+      this.picker = event.detail.picker
+    }
+
+    /**
+     * Remember an error create() reported from the form, so it is not reported twice
+     * @private
+     * @param {CustomEvent} event - 'trmnl:error' event from the form
+     */
+    _handleFormError(event) {
+      this._reportedError = event.detail.error
+    }
+
+    /**
+     * Reflect state to attributes and re-dispatch the change event from the element
+     * @private
+     * @param {CustomEvent} event - Original 'trmnl:change' event from the form
+     */
+    _handleFormChange(event) {
+      event.stopPropagation()
+
+      const { model, palette, isPortrait, isDarkMode, scale } = event.detail
+
+      this._reflecting = true
+      try {
+        this.setAttribute('model', model.name)
+        if (palette) this.setAttribute('palette', palette.id)
+        this.toggleAttribute('portrait', isPortrait)
+        this.toggleAttribute('dark-mode', isDarkMode)
+        this.setAttribute('scale', scale)
+      } finally {
+        this._reflecting = false
+      }
+
+      this.dispatchEvent(new CustomEvent('trmnl:change', {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      }))
+    }
+  }
+
+  window.customElements.define(tagName, TRMNLPickerElement)
+  return TRMNLPickerElement
+}
+
+export default defineTRMNLPickerElement
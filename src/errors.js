@@ -0,0 +1,123 @@
+/**
+ * Base class for all errors thrown by TRMNLPicker
+ *
+ * Available as `TRMNLPicker.errors.TRMNLPickerError` (and the subclasses below).
+ *
+ * @class TRMNLPickerError
+ * @extends Error
+ * @param {string} message - Error message
+ * @param {Object} [options] - Error options
+ * @param {Error} [options.cause] - Underlying error
+ *
+ * @example
+ * try {
+ *   await TRMNLPicker.create('picker-form', { bundledCatalog: false })
+ * } catch (error) {
+ *   if (error instanceof TRMNLPicker.errors.TRMNLPickerHttpError && error.status === 401) {
+ *     // ask for credentials
+ *   }
+ * }
+ */
+class TRMNLPickerError extends Error {
+  constructor(message, options = {}) {
+    super(message)
+    this.name = 'TRMNLPickerError'
+    if (options.cause) this.cause = options.cause
+  }
+
+  /**
+   * Whether repeating the request might succeed
+   * @type {boolean}
+   */
+  get retryable() {
+    return false
+  }
+}
+
+/**
+ * The request never got a response: offline, DNS/CORS failure, or timeout
+ * @class TRMNLPickerNetworkError
+ * @extends TRMNLPickerError
+ * @param {string} message - Error message
+ * @param {Object} [options] - Error options
+ * @param {string} [options.url] - Requested URL
+ * @param {boolean} [options.timedOut=false] - Whether the request was aborted by the timeout
+ * @param {Error} [options.cause] - Underlying error
+ */
+class TRMNLPickerNetworkError extends TRMNLPickerError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'TRMNLPickerNetworkError'
+    this.url = options.url
+    this.timedOut = Boolean(options.timedOut)
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+/**
+ * The server responded with a non-2xx HTTP status
+ * @class TRMNLPickerHttpError
+ * @extends TRMNLPickerError
+ * @param {string} message - Error message
+ * @param {Object} options - Error options
+ * @param {string} options.url - Requested URL
+ * @param {number} options.status - HTTP status code
+ * @param {string} [options.statusText] - HTTP status text
+ */
+class TRMNLPickerHttpError extends TRMNLPickerError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'TRMNLPickerHttpError'
+    this.url = options.url
+    this.status = options.status
+    this.statusText = options.statusText
+  }
+
+  get retryable() {
+    return [408, 429, 500, 502, 503, 504].includes(this.status)
+  }
+}
+
+/**
+ * The models or palettes data is malformed (unparseable JSON, not a non-empty array,
+ * or entries failing validation)
+ * @class TRMNLPickerPayloadError
+ * @extends TRMNLPickerError
+ * @param {string} message - Error message
+ * @param {Object} [options] - Error options
+ * @param {string} [options.url] - Requested URL, if the data came from the API
+ * @param {Array<{path: string, message: string}>} [options.problems] - Validation problems
+ *   (see {@link validateCatalog})
+ * @param {Error} [options.cause] - Underlying error
+ */
+class TRMNLPickerPayloadError extends TRMNLPickerError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'TRMNLPickerPayloadError'
+    this.url = options.url
+    this.problems = options.problems || []
+  }
+}
+
+/**
+ * None of the models has a palette with a usable framework_class
+ * @class TRMNLPickerNoModelsError
+ * @extends TRMNLPickerError
+ */
+class TRMNLPickerNoModelsError extends TRMNLPickerError {
+  constructor(message, options = {}) {
+    super(message, options)
+    this.name = 'TRMNLPickerNoModelsError'
+  }
+}
+
+export {
+  TRMNLPickerError,
+  TRMNLPickerNetworkError,
+  TRMNLPickerHttpError,
+  TRMNLPickerPayloadError,
+  TRMNLPickerNoModelsError
+}
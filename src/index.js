@@ -1,30 +1,289 @@
+import TRMNLPickerCore from './core.js'
+import defineTRMNLPickerElement from './element.js'
+import ModelCombobox from './combobox.js'
+import PaletteSwatches from './swatches.js'
+import validateCatalog from './validate.js'
+import resolveStorage from './storage.js'
+import ParamsSync from './sync.js'
+import PresetList from './presets.js'
+import Messages from './messages.js'
+import bundledCatalog from './catalog.js'
+import {
+  API_BASE_URL,
+  getApiUrl,
+  loadApiData,
+  fetchApiData,
+  setCachedApiData
+} from './api.js'
+import {
+  TRMNLPickerError,
+  TRMNLPickerNetworkError,
+  TRMNLPickerHttpError,
+  TRMNLPickerPayloadError,
+  TRMNLPickerNoModelsError
+} from './errors.js'
+
+/**
+ * Message keys of the labels of the built-in 'kind' model groups
+ * @private
+ * @constant {Object<string, string>}
+ */
+const _GROUP_MESSAGE_KEYS = {
+  TRMNL: 'groupTrmnl',
+  BYOD: 'groupByod'
+}
+
+/**
+ * Click handlers of the `[data-retry-button]` of forms whose create() failed, with the button they
+ * were added to, so each form has at most one pending retry
+ * @private
+ * @type {WeakMap<Element, {button: Element, handler: Function}>}
+ */
+const _retryHandlers = new WeakMap()
+
+/**
+ * Supported modes for the bundled offline catalog
+ * @private
+ * @constant {Array<string|boolean>}
+ */
+const _BUNDLED_CATALOG_MODES = ['fallback', 'always', false]
+
+/**
+ * Catalog sources, from most to least current
+ * @private
+ * @constant {Array<string>}
+ */
+const _CATALOG_SOURCES = ['provided', 'live', 'cached', 'bundled']
+
+/**
+ * Pick the least current of the sources the catalog was assembled from
+ * @private
+ * @param {Array<string>} sources - Sources of the models and palettes (see {@link _CATALOG_SOURCES})
+ * @returns {string} Least current source, or 'provided' if there are none
+ */
+function _leastCurrentSource(sources) {
+  return sources.reduce((a, b) => _CATALOG_SOURCES.indexOf(b) > _CATALOG_SOURCES.indexOf(a) ? b : a, 'provided')
+}
+
+/**
+ * URL parameter names used when syncing params to the page URL
+ * @private
+ * @constant {Object<string, string>}
+ */
+const _URL_PARAM_NAMES = {
+  modelName: 'model',
+  paletteId: 'palette',
+  isPortrait: 'portrait',
+  isDarkMode: 'dark',
+  scale: 'scale'
+}
+
+/**
+ * Form controls: the selector used to find each one and the default template
+ * used to build it in render mode
+ * @private
+ * @constant {Object<string, {selector: string, template: string}>}
+ */
+const _CONTROLS = {
+  modelSelect: {
+    selector: '[data-model-select]',
+    template: '<select data-model-select></select>'
+  },
+  paletteSelect: {
+    selector: '[data-palette-select]',
+    template: '<select data-palette-select></select>'
+  },
+  orientationToggle: {
+    selector: '[data-orientation-toggle]',
+    template: '<button type="button" data-orientation-toggle><span data-orientation-text>Landscape</span></button>'
+  },
+  darkModeToggle: {
+    selector: '[data-dark-mode-toggle]',
+    template: '<button type="button" data-dark-mode-toggle><span data-dark-mode-text>Light Mode</span></button>'
+  },
+  scaleSelect: {
+    selector: '[data-scale-select]',
+    template: '<select data-scale-select></select>'
+  },
+  resetButton: {
+    selector: '[data-reset-button]',
+    template: '<button type="button" data-reset-button data-picker-text="reset">Reset</button>'
+  }
+}
+
+/**
+ * Supported URL sync modes
+ * @private
+ * @constant {Array<string>}
+ */
+const _URL_MODES = ['query', 'hash']
+
+/**
+ * Default number of undo steps kept
+ * @private
+ * @constant {number}
+ */
+const _HISTORY_LIMIT = 50
+
+/**
+ * Change origins not recorded in the undo history: startup, catalog changes, undo/redo
+ * themselves, back/forward navigation (the browser keeps that history), and changes from
+ * synced pickers (recorded by the picker that made them, whose undo is synced back)
+ * @private
+ * @constant {Array<string>}
+ */
+const _UNRECORDED_ORIGINS = ['constructor', 'catalog', 'history', 'url', 'sync']
+
+/**
+ * Check whether two params objects hold the same values
+ * @private
+ * @param {Object} a - Params
+ * @param {Object} b - Params
+ * @returns {boolean} True if every param is equal
+ */
+function _paramsEqual(a, b) {
+  return Object.keys(a).every(key => a[key] === b[key])
+}
+
+/**
+ * Check whether saved data looks like a params object
+ * @private
+ * @param {*} value - Loaded value
+ * @returns {boolean} True for a plain object
+ */
+function _isParamsObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Default keys of the keyboard shortcuts, by action
+ * @private
+ * @constant {Object<string, string|false>}
+ */
+const _DEFAULT_SHORTCUTS = {
+  orientation: 'o',
+  darkMode: 'd',
+  previousModel: '[',
+  nextModel: ']',
+  reset: false
+}
+
+/**
+ * Normalize a shortcut key, so letters match with and without Shift
+ * @private
+ * @param {string} key - KeyboardEvent key value
+ * @returns {string} Normalized key
+ */
+function _normalizeShortcutKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key
+}
+
+/**
+ * Resolve the `shortcuts` option to a map from key to action
+ * @private
+ * @param {boolean|Object<string, string|false>} shortcuts - true for the defaults, or keys per action
+ *   (false disables an action)
+ * @returns {Map<string, string>} Actions by normalized key (empty when shortcuts are off)
+ * @throws {Error} If an action is unknown or a key is not a non-empty string
+ */
+function _resolveShortcuts(shortcuts) {
+  const keys = new Map()
+  if (!shortcuts) return keys
+
+  const overrides = shortcuts === true ? {} : shortcuts
+
+  for (const [action, key] of Object.entries(overrides)) {
+    if (!(action in _DEFAULT_SHORTCUTS)) {
+      throw new Error(`TRMNLPicker: Unknown shortcut action "${action}"`)
+    }
+    if (key !== false && (typeof key !== 'string' || key === '')) {
+      throw new Error(`TRMNLPicker: Shortcut key for "${action}" must be a non-empty string or false`)
+    }
+  }
+
+  for (const [action, key] of Object.entries({ ..._DEFAULT_SHORTCUTS, ...overrides })) {
+    if (key) keys.set(_normalizeShortcutKey(key), action)
+  }
+
+  return keys
+}
+
 /**
- * Default model to select when no localStorage state is found
+ * Check whether an element takes typed text (or letters for type-ahead), so shortcuts must not fire in it
+ * @private
+ * @param {Element} element - Event target
+ * @returns {boolean} True for text inputs, textareas, selects and editable content
+ */
+function _isTextEntry(element) {
+  if (!element || !element.matches) return false
+
+  return element.isContentEditable ||
+    element.matches('textarea, select, input:not([type="button"], [type="checkbox"], [type="radio"], [type="reset"], [type="submit"])')
+}
+
+/**
+ * Inline styles hiding the generated live region visually while keeping it readable by screen readers
  * @private
  * @constant {string}
  */
-const _DEFAULT_MODEL_NAME = 'og_plus'
+const _VISUALLY_HIDDEN_STYLE = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; ' +
+  'overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0'
 
 /**
- * localStorage key for caching API responses (models and palettes)
+ * Suffix of the storage key presets are saved under (after `localStorageKey`)
  * @private
  * @constant {string}
  */
-const _API_CACHE_KEY = 'trmnl-picker-api-cache'
+const _PRESETS_KEY_SUFFIX = ':presets'
 
 /**
- * Cache TTL in milliseconds (1 day)
+ * Events that can be listened to with {@link TRMNLPicker#on}
  * @private
- * @constant {number}
+ * @constant {Array<string>}
+ */
+const _EVENT_TYPES = [
+  'trmnl:beforechange',
+  'trmnl:change',
+  'trmnl:catalog-update',
+  'trmnl:error',
+  'trmnl:comparison-add',
+  'trmnl:comparison-remove',
+  'trmnl:comparison-reorder',
+  'trmnl:presets-change'
+]
+
+/**
+ * Check whether two selected values are equal (arrays are compared item by item,
+ * so derived lists like screenClasses only count as changed when their items do)
+ * @private
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if equal
+ */
+function _selectedEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => Object.is(item, b[index]))
+  }
+
+  return Object.is(a, b)
+}
+
+/**
+ * Change origins that are not shared with synced pickers: startup and catalog changes
+ * happen in every picker on its own, and 'sync' changes came from another picker
+ * @private
+ * @constant {Array<string>}
  */
-const _CACHE_TTL_MS = 24 * 60 * 60 * 1000
+const _UNSYNCED_ORIGINS = ['constructor', 'catalog', 'sync']
 
 /**
  * Event fired when picker state changes
  * @event TRMNLPicker#trmnl:change
  * @type {CustomEvent}
  * @property {Object} detail - Event details
- * @property {string} detail.origin - What triggered the change: 'constructor', 'form', or 'setParams'
+ * @property {string} detail.origin - What triggered the change: 'constructor', 'form', 'setParams', 'url',
+ *   'catalog' (models/palettes were replaced), 'sync' (another synced picker or tab changed), 'history'
+ *   ({@link TRMNLPicker#undo} or {@link TRMNLPicker#redo}), or 'preset' ({@link TRMNLPicker#applyPreset})
  * @property {Array<string>} detail.screenClasses - Array of CSS classes for Framework CSS rendering
  * @property {Object} detail.model - Current model object with name, label, width, height, kind, css properties
  * @property {Object} detail.palette - Current palette object with id, name, framework_class properties
@@ -32,21 +291,152 @@ const _CACHE_TTL_MS = 24 * 60 * 60 * 1000
  * @property {boolean} detail.isDarkMode - Dark mode flag
  * @property {number} detail.width - Current width of the screen in pixels
  * @property {number} detail.height - Current height of the screen in pixels
+ * @property {number} detail.scale - Current preview scale
+ * @property {number} detail.scaledWidth - Width multiplied by the preview scale
+ * @property {number} detail.scaledHeight - Height multiplied by the preview scale
+ * @property {string} detail.catalogSource - Where models and palettes came from (see {@link TRMNLPicker#catalogSource})
+ * @property {Object|null} detail.previous - State before the change (same shape as the state fields above),
+ *   or null for the 'constructor' change
+ * @property {Array<string>} detail.changedKeys - Params that changed ('modelName', 'paletteId', 'isPortrait',
+ *   'isDarkMode', 'scale'); all of them for the 'constructor' change
  *
  * @example
  * picker.formElement.addEventListener('trmnl:change', (event) => {
- *   const { origin, screenClasses, model, palette } = event.detail
- *   console.log(`Changed via ${origin}`)
+ *   const { origin, screenClasses, previous, changedKeys } = event.detail
+ *   console.log(`Changed via ${origin}:`, changedKeys)
+ *   if (changedKeys.includes('modelName')) {
+ *     console.log(`${previous.model.label} -> ${event.detail.model.label}`)
+ *   }
  *   console.log('Classes:', screenClasses)
  * })
  */
 
+/**
+ * Event fired before the params change, for every origin except 'constructor' and 'catalog'.
+ * Call `preventDefault()` to keep the current params (form controls are reset to them), or
+ * replace `detail.params` to apply different values. Not fired when the update would not
+ * change anything.
+ * @event TRMNLPicker#trmnl:beforechange
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {string} detail.origin - What triggered the change (see {@link TRMNLPicker#event:trmnl:change})
+ * @property {Object} detail.params - Complete params that are about to be applied
+ * @property {Object} detail.current - Current params
+ *
+ * @example
+ * // Keep dark mode off for the OG model
+ * picker.formElement.addEventListener('trmnl:beforechange', (event) => {
+ *   const { params } = event.detail
+ *   if (params.modelName === 'og_png' && params.isDarkMode) {
+ *     event.preventDefault()
+ *   }
+ * })
+ */
+
+/**
+ * Event fired when the models and palettes catalog is replaced, e.g. after a background
+ * refresh found changes on the server. The selects are updated in place and the current
+ * selection is kept when still valid.
+ * @event TRMNLPicker#trmnl:catalog-update
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {Object} detail.models - Model changes
+ * @property {Array<Object>} detail.models.added - Models that were not in the previous catalog
+ * @property {Array<Object>} detail.models.removed - Models that are no longer in the catalog
+ * @property {Object} detail.palettes - Palette changes
+ * @property {Array<Object>} detail.palettes.added - Palettes that were not in the previous catalog
+ * @property {Array<Object>} detail.palettes.removed - Palettes that are no longer in the catalog
+ *
+ * @example
+ * picker.formElement.addEventListener('trmnl:catalog-update', (event) => {
+ *   const { models } = event.detail
+ *   console.log('New devices:', models.added.map(m => m.label))
+ * })
+ */
+
+/**
+ * Event fired on the form when {@link TRMNLPicker.create} has built the picker,
+ * including after a retry
+ * @event TRMNLPicker#trmnl:ready
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {TRMNLPicker} detail.picker - The created picker
+ */
+
+/**
+ * Event fired on the form when {@link TRMNLPicker.create} fails to load the catalog, or when
+ * a catalog refreshed in the background is rejected (the picker then keeps its catalog).
+ * Bubbles, so a single page-level listener can report errors for every picker.
+ * @event TRMNLPicker#trmnl:error
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {TRMNLPickerError|Error} detail.error - The error create() rejects with, or the error
+ *   the refreshed catalog was rejected with (see {@link TRMNLPicker.errors} for the classes)
+ * @property {Function} detail.retry - Call create() again with the same options, or refresh the
+ *   catalog again; returns a promise for the picker
+ *
+ * @example
+ * document.addEventListener('trmnl:error', (event) => {
+ *   const { error, retry } = event.detail
+ *   if (error instanceof TRMNLPicker.errors.TRMNLPickerNetworkError) {
+ *     window.addEventListener('online', () => retry(), { once: true })
+ *   }
+ * })
+ */
+
+/**
+ * Event fired when an entry is added to the comparison list
+ * @event TRMNLPicker#trmnl:comparison-add
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {Object} detail.entry - The added entry (see {@link TRMNLPicker#comparisons})
+ * @property {number} detail.index - Position of the entry in the list
+ * @property {Array<Object>} detail.comparisons - The whole list after the change
+ *
+ * @example
+ * picker.formElement.addEventListener('trmnl:comparison-add', (event) => {
+ *   const { entry } = event.detail
+ *   renderPreview(entry.id, entry.screenClasses, entry.width, entry.height)
+ * })
+ */
+
+/**
+ * Event fired when an entry is removed from the comparison list, including entries
+ * whose model disappeared from the catalog
+ * @event TRMNLPicker#trmnl:comparison-remove
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {Object} detail.entry - The removed entry
+ * @property {number} detail.index - Position the entry had in the list
+ * @property {Array<Object>} detail.comparisons - The whole list after the change
+ */
+
+/**
+ * Event fired when an entry of the comparison list is moved
+ * @event TRMNLPicker#trmnl:comparison-reorder
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {Object} detail.entry - The moved entry
+ * @property {number} detail.from - Previous position
+ * @property {number} detail.to - New position
+ * @property {Array<Object>} detail.comparisons - The whole list after the change
+ */
+
+/**
+ * Event fired when presets are saved, deleted or imported
+ * @event TRMNLPicker#trmnl:presets-change
+ * @type {CustomEvent}
+ * @property {Object} detail - Event details
+ * @property {Array<{label: string, params: Object}>} detail.presets - All presets after the change
+ */
+
 /**
  * TRMNLPicker - Vanilla JS library for TRMNL device and palette selection
  *
  * Provides a reactive picker component that manages device models, color palettes,
  * orientation, and display mode. Emits 'trmnl:change' events with current state
- * and CSS classes for rendering.
+ * and CSS classes for rendering. State logic lives in {@link TRMNLPickerCore}
+ * (available as `TRMNLPicker.Core`); this class binds it to a form.
  * 
  * **[View a live demo →](https://usetrmnl.github.io/trmnl-picker/example/)**
  *
@@ -59,9 +449,75 @@ const _CACHE_TTL_MS = 24 * 60 * 60 * 1000
  * @param {Object} options - Configuration options
  * @param {Array<Object>} options.models - Array of model objects from TRMNL API
  * @param {Array<Object>} options.palettes - Array of palette objects from TRMNL API
- * @param {string} [options.localStorageKey] - Optional key for persisting state to localStorage
+ * @param {string} [options.localStorageKey] - Optional key for persisting state (in localStorage unless
+ *   `storage` says otherwise)
+ * @param {string|Object} [options.storage='localStorage'] - Where state is persisted: 'localStorage',
+ *   'sessionStorage', 'cookie', or an adapter with `load(key)` and `save(key, params)` methods, either of which
+ *   may return a promise. Async loads are only awaited by {@link TRMNLPicker.create}; save failures are logged.
+ * @param {string} [options.urlMode] - Optional URL sync mode: 'query' (search params) or 'hash'.
+ *   When set, params are written to the page URL on every change and read from it at startup
+ *   (taking priority over saved state). Back/forward navigation emits a change with the 'url' origin.
+ * @param {Object} [options.params] - Optional initial params (modelName, paletteId, isPortrait, isDarkMode, scale),
+ *   applied over the defaults; saved and URL state take priority over them
+ * @param {boolean|Object} [options.render] - Build any missing controls inside the form instead of
+ *   throwing. Pass `true` for the default markup, or an object to customize it. Built controls are
+ *   removed on {@link TRMNLPicker#destroy}.
+ * @param {Object<string, string|false>} [options.render.templates] - HTML per control key
+ *   (modelSelect, paletteSelect, orientationToggle, darkModeToggle, scaleSelect, resetButton); the template must
+ *   contain the control's data-* attribute. `false` skips an optional control.
+ * @param {Object<string, string>} [options.render.classes] - Space-separated CSS classes added to the
+ *   built control, per control key
+ * @param {Array<number|Object>} [options.scales] - Selectable preview scales for `[data-scale-select]`,
+ *   as numbers or `{ value, label, className }` objects (see {@link TRMNLPickerCore})
+ * @param {Object} [options.filter] - Restrict the selectable models by kind, name or a predicate
+ *   (see {@link TRMNLPickerCore}). Saved or URL state naming a filtered-out model falls back to the defaults.
+ * @param {string|Function|boolean} [options.groupBy='kind'] - Model dropdown grouping: 'kind', a function
+ *   returning a group label per model, or false for a flat list without optgroups
+ * @param {Array<string>} [options.groupOrder] - Group labels in display order
+ * @param {string|Function} [options.sortBy='label'] - Model order within groups: 'label', 'name', 'resolution',
+ *   or a comparator function
+ * @param {boolean|Object} [options.modelSearch] - Replace the model select with a searchable combobox
+ *   (the select stays in the form, hidden). Typing filters models by label, name or resolution
+ *   (e.g. "800x480"); arrow keys, Enter and Escape navigate the list.
+ * @param {string} [options.modelSearch.placeholder] - Placeholder of the search input, instead of the
+ *   locale's `searchModels` message
+ * @param {boolean} [options.paletteSwatches] - Show the palettes as radios with a strip of their grey
+ *   or color levels (see {@link TRMNLPickerCore#getPaletteColors}). The palette select stays in the form,
+ *   hidden, and is shown again for models whose palettes have no color data.
+ * @param {string|Element|Array<Element>|NodeList} [options.targets] - Preview elements to apply the screen
+ *   classes to on every change, as a selector (queried each time) or elements. Screen classes that no longer
+ *   apply are removed, even if they were in the markup; other classes on the targets are kept.
+ *   {@link TRMNLPicker#destroy} removes the classes the picker added.
+ * @param {Function} [options.afterApply] - Called with `(elements, state)` after the classes are applied and
+ *   before `trmnl:change` is emitted, e.g. to run Framework's `executeTerminalize`
+ * @param {boolean|string} [options.sync] - Share params with other pickers using the same channel, on this page
+ *   and in other tabs (through a BroadcastChannel, or `storage` events where that is unavailable). Pass a
+ *   channel name, or `true` to use `localStorageKey`. Changes from other pickers are applied with the 'sync' origin,
+ *   and a new picker starts from the state of a synced picker already on the page.
+ * @param {Array<Object>} [options.comparisons] - Initial comparison entries, as params
+ *   (see {@link TRMNLPicker#addComparison})
+ * @param {Array<Object>} [options.presets] - Initial presets as `{ label, params }` objects, e.g. parsed from
+ *   {@link TRMNLPicker#exportPresets}; presets saved with `localStorageKey` replace those with the same label
+ * @param {string} [options.locale='en'] - Language of the user-visible strings: 'en', 'de' or 'ja' are built in,
+ *   others fall back to English (see {@link TRMNLPicker#setLocale})
+ * @param {Object<string, string>} [options.messages] - Custom strings by key, overriding the locale's dictionary
+ *   (see {@link TRMNLPicker.MESSAGES}). `[data-picker-text="key"]` elements in the form show the named message.
+ * @param {boolean} [options.announce=false] - Announce each change, e.g. "OG+, 2-bit, portrait", in a visually
+ *   hidden polite live region. A `[data-picker-announcer]` element in the form is used without this option.
+ * @param {boolean|Object<string, string|false>} [options.shortcuts] - Keyboard shortcuts while focus is in the
+ *   form: `true` for `o` (orientation), `d` (dark mode), `[`/`]` (previous/next model), or keys by action
+ *   (`orientation`, `darkMode`, `previousModel`, `nextModel`, `reset`), `false` disabling one
+ * @param {number} [options.historyLimit=50] - Number of changes that can be undone (0 disables history)
+ * @param {string} [options.validation='lenient'] - Catalog validation: 'lenient' drops invalid models and
+ *   palettes with a warning, 'strict' throws (see {@link TRMNLPickerCore} and {@link validateCatalog})
  *
+ * @fires TRMNLPicker#trmnl:beforechange
  * @fires TRMNLPicker#trmnl:change
+ * @fires TRMNLPicker#trmnl:catalog-update
+ * @fires TRMNLPicker#trmnl:comparison-add
+ * @fires TRMNLPicker#trmnl:comparison-remove
+ * @fires TRMNLPicker#trmnl:comparison-reorder
+ * @fires TRMNLPicker#trmnl:presets-change
  *
  * @example
  * // HTML Structure - Required form with data-* attributes
@@ -82,8 +538,14 @@ const _CACHE_TTL_MS = 24 * 60 * 60 * 1000
  * //     <span data-dark-mode-text>Light Mode</span>
  * //   </button>
  * //
- * //   <!-- Optional: Reset button -->
- * //   <button type="button" data-reset-button>Reset</button>
+ * //   <!-- Optional: Preview scale selector -->
+ * //   <select data-scale-select></select>
+ * //
+ * //   <!-- Optional: Reset button, labelled in the picker's locale -->
+ * //   <button type="button" data-reset-button data-picker-text="reset">Reset</button>
+ * //
+ * //   <!-- Optional: Current resolution, e.g. "800 × 480" -->
+ * //   <span data-resolution-text></span>
  * // </form>
  *
  * // Create with element ID
@@ -99,68 +561,133 @@ const _CACHE_TTL_MS = 24 * 60 * 60 * 1000
  * })
  */
 class TRMNLPicker {
-  static API_BASE_URL = 'https://trmnl.com'
+  static API_BASE_URL = API_BASE_URL
+
+  static Core = TRMNLPickerCore
 
   /**
-   * Get cached API response from localStorage
-   * @private
-   * @static
-   * @returns {{models: Array, palettes: Array} | null} Cached data or null if expired/missing
+   * Validate a models and palettes catalog, e.g. a BYOS server response (see {@link validateCatalog})
+   * @type {Function}
    */
-  static _getCachedApiData() {
-    try {
-      const cached = localStorage.getItem(_API_CACHE_KEY)
-      if (!cached) return null
+  static validateCatalog = validateCatalog
 
-      const { timestamp, models, palettes } = JSON.parse(cached)
-      const now = Date.now()
+  /**
+   * Error classes thrown by the picker, for `instanceof` checks
+   * @type {Object<string, Function>}
+   */
+  static errors = {
+    TRMNLPickerError,
+    TRMNLPickerNetworkError,
+    TRMNLPickerHttpError,
+    TRMNLPickerPayloadError,
+    TRMNLPickerNoModelsError
+  }
 
-      // Check if cache is still valid
-      if (now - timestamp > _CACHE_TTL_MS) {
-        localStorage.removeItem(_API_CACHE_KEY)
-        return null
-      }
+  /**
+   * Snapshot of the models and palettes catalog shipped with the package, used by
+   * {@link TRMNLPicker.create} when the API is unreachable and nothing is cached
+   *
+   * `updatedAt` is the time the snapshot was taken, or null for the placeholder in an
+   * unpublished checkout (refresh it with `npm run update:catalog`).
+   *
+   * @type {{updatedAt: string|null, models: Array<Object>, palettes: Array<Object>}}
+   */
+  static BUNDLED_CATALOG = bundledCatalog
 
-      return { models, palettes }
-    } catch (error) {
-      console.warn('TRMNLPicker: Failed to read API cache:', error)
-      return null
-    }
-  }
+  /**
+   * Built-in dictionaries of user-visible strings by language ('en', 'de', 'ja'), listing every
+   * message key that can be overridden with the `messages` option
+   * @type {Object<string, Object<string, string>>}
+   */
+  static MESSAGES = Messages.DICTIONARIES
 
   /**
-   * Save API response to localStorage cache
-   * @private
+   * Register the `<trmnl-picker>` custom element under a tag name
+   *
+   * Importing the module registers nothing, so the tag name can be chosen first. The browser
+   * builds (`dist/trmnl-picker.js` and `.min.js`) register `<trmnl-picker>` when they load; call
+   * it to register an additional tag name.
+   *
    * @static
-   * @param {Array} models - Models array
-   * @param {Array} palettes - Palettes array
+   * @param {string} [tagName='trmnl-picker'] - Custom element tag name
+   * @returns {Function|undefined} The custom element class, or undefined outside the browser
    */
-  static _setCachedApiData(models, palettes) {
-    try {
-      const cacheData = {
-        timestamp: Date.now(),
-        models,
-        palettes
-      }
-      localStorage.setItem(_API_CACHE_KEY, JSON.stringify(cacheData))
-    } catch (error) {
-      console.warn('TRMNLPicker: Failed to save API cache:', error)
-    }
+  static defineElement(tagName) {
+    return defineTRMNLPickerElement(TRMNLPicker, tagName)
   }
 
   /**
    * Create a TRMNLPicker instance, fetching data from TRMNL API if not provided
    *
-   * Automatically caches API responses in localStorage for 24 hours to reduce network requests.
+   * Models and palettes are fetched in parallel, and concurrent create() calls on the same page
+   * share in-flight requests. Automatically caches API responses in localStorage to reduce network
+   * requests. The cache is keyed by endpoint URL, so pickers talking to different servers never share data.
+   *
+   * With the default 'stale-while-revalidate' strategy, cached data (even older than `cacheTtl`) is
+   * used to start instantly and is refreshed in the background once per page load; if the catalog
+   * changed, the selects are updated in place and `trmnl:catalog-update` is fired. With 'cache-first',
+   * cache within `cacheTtl` is used without a refresh, and expired cache is ignored so startup waits
+   * for the network.
+   *
+   * While loading, the form gets `data-picker-state="loading"` and `aria-busy`, and an optional
+   * `[data-picker-status]` element inside it shows a message. When loading fails the state becomes
+   * 'error', the status element describes the problem, an optional `[data-retry-button]` is shown,
+   * and `trmnl:error` is fired before the promise rejects. On success the state becomes 'ready'
+   * and `trmnl:ready` is fired.
    *
    * @static
    * @param {string|Element} formIdOrElement - Form element ID or DOM element
    * @param {Object} options - Configuration options
    * @param {Array<Object>} [options.models] - Optional models array (fetched from API if not provided)
    * @param {Array<Object>} [options.palettes] - Optional palettes array (fetched from API if not provided)
+   * @param {string} [options.apiBaseUrl] - Optional API base URL (defaults to {@link TRMNLPicker.API_BASE_URL})
+   * @param {string} [options.modelsPath='/api/models'] - Optional models endpoint path or absolute URL
+   * @param {string} [options.palettesPath='/api/palettes'] - Optional palettes endpoint path or absolute URL
+   * @param {Object<string, string>} [options.headers] - Optional request headers (e.g. Authorization for a BYOS server)
+   * @param {Function} [options.fetch] - Optional fetch implementation used instead of the global `fetch`
+   * @param {string} [options.cacheStrategy='stale-while-revalidate'] - API cache strategy:
+   *   'stale-while-revalidate' or 'cache-first'
+   * @param {number} [options.cacheTtl=86400000] - Time in milliseconds cached API data is considered fresh (default 1 day)
+   * @param {number} [options.timeout=10000] - Timeout in milliseconds for each API request attempt
+   * @param {number} [options.retries=2] - Retries after a network error, timeout, or 408/429/5xx response
+   * @param {number} [options.retryDelay=500] - Base retry delay in milliseconds, doubled after each attempt
+   *   (a Retry-After header on 429/503 responses takes precedence)
+   * @param {AbortSignal} [options.signal] - Optional signal to cancel loading from the API; create() then
+   *   rejects with the abort reason. Requests shared with other pickers keep running until every
+   *   picker waiting for them has aborted.
+   * @param {string|boolean} [options.bundledCatalog='fallback'] - Use of the bundled offline catalog
+   *   ({@link TRMNLPicker.BUNDLED_CATALOG}): 'fallback' when the API is unreachable and nothing is cached,
+   *   'always' to skip the network entirely, or false to throw instead
    * @param {string} [options.localStorageKey] - Optional key for state persistence
+   * @param {string|Object} [options.storage='localStorage'] - Storage for the persisted state (see constructor);
+   *   async adapters are loaded before the picker is created
+   * @param {string} [options.urlMode] - Optional URL sync mode: 'query' or 'hash'
+   * @param {Object} [options.params] - Optional initial params
+   * @param {boolean|Object} [options.render] - Build missing controls (see constructor)
+   * @param {Array<number|Object>} [options.scales] - Selectable preview scales
+   * @param {Object} [options.filter] - Restrict the selectable models (see constructor)
+   * @param {string|Function|boolean} [options.groupBy] - Model dropdown grouping (see constructor)
+   * @param {Array<string>} [options.groupOrder] - Group labels in display order
+   * @param {string|Function} [options.sortBy] - Model order within groups (see constructor)
+   * @param {boolean|Object} [options.modelSearch] - Searchable model combobox (see constructor)
+   * @param {boolean} [options.paletteSwatches] - Palette radios with color swatches (see constructor)
+   * @param {string|Element|Array<Element>|NodeList} [options.targets] - Elements to apply the screen classes to
+   * @param {Function} [options.afterApply] - Called after the classes are applied (see constructor)
+   * @param {boolean|string} [options.sync] - Share params with other pickers and tabs (see constructor)
+   * @param {Array<Object>} [options.comparisons] - Initial comparison entries
+   * @param {Array<Object>} [options.presets] - Initial presets (see constructor)
+   * @param {string} [options.locale='en'] - Language of the user-visible strings, including the loading
+   *   and error status (see constructor)
+   * @param {Object<string, string>} [options.messages] - Custom strings by key (see constructor)
+   * @param {boolean} [options.announce=false] - Announce changes in a live region (see constructor)
+   * @param {boolean|Object<string, string|false>} [options.shortcuts] - Keyboard shortcuts (see constructor)
+   * @param {number} [options.historyLimit=50] - Number of changes that can be undone
+   * @param {string} [options.validation='lenient'] - Catalog validation mode (see constructor)
    * @returns {Promise<TRMNLPicker>} Promise resolving to picker instance
-   * @throws {Error} If API fetch fails when models or palettes are not provided
+   * @throws {TRMNLPickerError} If API fetch fails when models or palettes are not provided and the bundled
+   *   catalog is disabled, or if no usable models remain (see {@link TRMNLPicker.errors})
+   * @fires TRMNLPicker#trmnl:ready
+   * @fires TRMNLPicker#trmnl:error
    *
    * @example
    * // Fetch models and palettes from API (or use cached data if available)
@@ -168,163 +695,578 @@ class TRMNLPicker {
    *
    * // Provide your own data
    * const picker = await TRMNLPicker.create('screen-picker', { models, palettes })
+   *
+   * // Fetch from a BYOS server that requires authentication
+   * const picker = await TRMNLPicker.create('screen-picker', {
+   *   apiBaseUrl: 'https://byos.example.com',
+   *   headers: { Authorization: `Bearer ${token}` }
+   * })
+   *
+   * // Show loading and error states
+   * // <form id="screen-picker">
+   * //   <p data-picker-status></p>
+   * //   <button type="button" data-retry-button hidden>Retry</button>
+   * //   ...
+   * // </form>
    */
-  static async create(formId, options = {}) {
-    let { models, palettes, localStorageKey } = options
+  static async create(formIdOrElement, options = {}) {
+    const formElement = TRMNLPicker._resolveFormElement(formIdOrElement)
+    const messages = new Messages(options.locale, options.messages)
 
-    // Try to use cached data if neither models nor palettes are provided
-    if (!models && !palettes) {
-      const cached = TRMNLPicker._getCachedApiData()
-      if (cached) {
-        models = cached.models
-        palettes = cached.palettes
-      }
-    }
+    TRMNLPicker._setStatus(formElement, 'loading', null, messages)
 
-    // Fetch models if not provided and not in cache
-    if (!models) {
-      try {
-        const response = await fetch(`${TRMNLPicker.API_BASE_URL}/api/models`)
-        if (!response.ok) {
-          throw new Error(`Failed to fetch models: ${response.status} ${response.statusText}`)
-        }
-        const data = await response.json()
-        models = data.data || data
-      } catch (error) {
-        throw new Error(`TRMNLPicker: Failed to fetch models from API: ${error.message}`)
-      }
-    }
+    try {
+      const picker = await TRMNLPicker._createPicker(formElement, options)
 
-    // Fetch palettes if not provided and not in cache
-    if (!palettes) {
-      try {
-        const response = await fetch(`${TRMNLPicker.API_BASE_URL}/api/palettes`)
-        if (!response.ok) {
-          throw new Error(`Failed to fetch palettes: ${response.status} ${response.statusText}`)
-        }
-        const data = await response.json()
-        palettes = data.data || data
-      } catch (error) {
-        throw new Error(`TRMNLPicker: Failed to fetch palettes from API: ${error.message}`)
+      TRMNLPicker._setRetryHandler(formElement, null)
+      TRMNLPicker._setStatus(formElement, 'ready', null, messages)
+      formElement.dispatchEvent(new CustomEvent('trmnl:ready', {
+        detail: { picker },
+        bubbles: true
+      }))
+
+      return picker
+    } catch (error) {
+      // Cancellation is not an error to show
+      if (options.signal?.aborted) {
+        TRMNLPicker._setRetryHandler(formElement, null)
+        TRMNLPicker._setStatus(formElement, null, null, messages)
+        throw error
       }
-    }
 
-    // Cache the API data for future use (if both were fetched)
-    if (!options.models && !options.palettes) {
-      TRMNLPicker._setCachedApiData(models, palettes)
-    }
+      const retry = () => TRMNLPicker.create(formElement, options)
 
-    return new TRMNLPicker(formId, { models, palettes, localStorageKey })
-  }
+      TRMNLPicker._setStatus(formElement, 'error', error, messages)
+      TRMNLPicker._setRetryHandler(formElement, retry)
 
-  constructor(formIdOrElement, options = {}) {
-    // Validate inputs
-    if (!formIdOrElement) {
-      throw new Error('TRMNLPicker: formIdOrElement is required')
+      formElement.dispatchEvent(new CustomEvent('trmnl:error', {
+        detail: { error, retry },
+        bubbles: true
+      }))
+
+      throw error
     }
+  }
 
-    // Store references - accept either string ID or DOM element
-    if (typeof formIdOrElement === 'string') {
-      this.formElement = document.getElementById(formIdOrElement)
-      if (!this.formElement) {
-        throw new Error(`TRMNLPicker: Form element with id "${formIdOrElement}" not found`)
-      }
-    } else if (formIdOrElement instanceof Element) {
-      this.formElement = formIdOrElement
-    } else {
-      throw new Error('TRMNLPicker: formIdOrElement must be a string ID or DOM element')
+  /**
+   * Load the catalog (API, cache or bundled snapshot) and construct the picker
+   * @private
+   * @static
+   * @param {Element} formElement - Form element
+   * @param {Object} options - create() options
+   * @returns {Promise<TRMNLPicker>} Picker instance
+   */
+  static async _createPicker(formElement, options) {
+    // Resolve the base URL here, so changes to TRMNLPicker.API_BASE_URL apply to later pickers
+    const apiOptions = { ...options, apiBaseUrl: options.apiBaseUrl || TRMNLPicker.API_BASE_URL }
+    let { models, palettes } = options
+    const { bundledCatalog: bundledCatalogMode = 'fallback' } = options
+    const loadedNames = []
+    const refreshNames = []
+    const endpointSources = {}
+    let useBundledCatalog = bundledCatalogMode === 'always'
+
+    if (!_BUNDLED_CATALOG_MODES.includes(bundledCatalogMode)) {
+      throw new Error('TRMNLPicker: bundledCatalog must be one of: \'fallback\', \'always\', false')
     }
 
-    const { models, palettes, localStorageKey } = options
+    // Load saved state alongside the catalog, so async storage is ready for the 'constructor' change
+    const savedPromise = TRMNLPicker._loadSaved(resolveStorage(options.storage), options.localStorageKey)
 
-    this.models = models
-    this.palettes = palettes
-    this.localStorageKey = localStorageKey
+    if (!useBundledCatalog) {
+      // Fetch models and palettes that were not provided (and not in cache) in parallel
+      if (!models) loadedNames.push('models')
+      if (!palettes) loadedNames.push('palettes')
 
-    // Only initialize if we have data
-    if (this.models && this.palettes) {
-      if (!Array.isArray(this.models) || this.models.length === 0) {
-        throw new Error('TRMNLPicker: models must be a non-empty array')
-      }
+      try {
+        const results = await Promise.all(loadedNames.map(name => loadApiData(name, apiOptions)))
 
-      if (!Array.isArray(this.palettes) || this.palettes.length === 0) {
-        throw new Error('TRMNLPicker: palettes must be a non-empty array')
-      }
+        results.forEach((result, index) => {
+          endpointSources[loadedNames[index]] = result.source
+          if (result.revalidate) refreshNames.push(loadedNames[index])
+        })
 
-      // Filter out models where all palettes have empty framework_class
-      this.models = this._filterValidModels()
+        models = models || results[loadedNames.indexOf('models')].data
+        palettes = palettes || results[loadedNames.indexOf('palettes')].data
+      } catch (error) {
+        // Cancellation is not a failure to fall back from
+        if (bundledCatalogMode === false || options.signal?.aborted) throw error
 
-      if (this.models.length === 0) {
-        throw new Error('TRMNLPicker: no valid models found (all models have palettes with empty framework_class)')
+        console.warn('TRMNLPicker: Using bundled catalog:', error)
+        useBundledCatalog = true
       }
+    }
 
-      // Initialize DOM elements and bind events
-      this._initializeElements()
-      this._bindEvents()
+    if (useBundledCatalog) {
+      // Bundled data replaces everything loaded from the API or cache, so the two are never mixed;
+      // models or palettes passed in are kept, as with any other source
+      models = options.models || TRMNLPicker.BUNDLED_CATALOG.models
+      palettes = options.palettes || TRMNLPicker.BUNDLED_CATALOG.palettes
+      refreshNames.length = 0
+      if (!options.models) endpointSources.models = 'bundled'
+      if (!options.palettes) endpointSources.palettes = 'bundled'
+    }
 
-      // Set initial state (will load from localStorage if available)
-      this._setInitialState()
+    // Report the least current source in use
+    const catalogSource = _leastCurrentSource(Object.values(endpointSources))
+
+    const saved = await savedPromise
+    const picker = new TRMNLPicker(formElement, { ...options, models, palettes, catalogSource, saved })
+
+    // Refresh cached data without blocking startup
+    if (refreshNames.length > 0) {
+      picker._revalidateCatalog(apiOptions, { models, palettes }, refreshNames, endpointSources)
     }
-  }
 
-  /**
-   * Filter out models where all their palettes have empty framework_class
-   * @private
-   * @returns {Array<Object>} Filtered models array
-   */
-  _filterValidModels() {
-    return this.models.filter(model => {
-      // Check if at least one palette for this model has a non-empty framework_class
-      return model.palette_ids.some(paletteId => {
-        const palette = this.palettes.find(p => p.id === paletteId)
-        return palette && palette.framework_class && palette.framework_class.trim() !== ''
-      })
-    })
+    return picker
   }
 
   /**
-   * Get the first valid palette ID for a model (one with non-empty framework_class)
+   * Load saved params and presets with a (possibly async) storage adapter
    * @private
-   * @param {Object} model - Model object
-   * @returns {string|null} First valid palette ID or null
+   * @static
+   * @param {Object} storage - Storage adapter
+   * @param {string} [key] - Storage key; nothing is loaded without one
+   * @returns {Promise<{params: Object|null, presets: Array<Object>|null}>} Saved data; null for anything
+   *   not saved or failing to load
    */
-  _getFirstValidPaletteId(model) {
-    if (!model) return null
+  static async _loadSaved(storage, key) {
+    if (!key) return { params: null, presets: null }
 
-    for (const paletteId of model.palette_ids) {
-      const palette = this.palettes.find(p => p.id === paletteId)
-      if (palette && palette.framework_class && palette.framework_class.trim() !== '') {
-        return paletteId
+    const load = async storageKey => {
+      try {
+        return await storage.load(storageKey)
+      } catch (error) {
+        console.warn('TRMNLPicker: Failed to load saved state:', error)
+        return null
       }
     }
 
-    return null
+    const [params, presets] = await Promise.all([load(key), load(`${key}${_PRESETS_KEY_SUFFIX}`)])
+
+    return {
+      params: _isParamsObject(params) ? params : null,
+      presets: Array.isArray(presets) ? presets : null
+    }
   }
 
   /**
-   * Find and store references to form elements using data-* attributes
+   * Refresh cached endpoints in the background and update the catalog if anything changed
+   *
+   * A refreshed catalog the picker rejects (invalid in 'strict' validation, no usable or allowed
+   * models) is reported with `trmnl:error`, and the cache is reset to the catalog in use.
+   *
    * @private
+   * @param {Object} options - create() options, with apiBaseUrl resolved
+   * @param {{models: Array, palettes: Array}} catalog - Catalog the picker was created with
+   * @param {Array<string>} refreshNames - Endpoints to refresh ('models' and/or 'palettes')
+   * @param {Object<string, string>} endpointSources - Source of each endpoint loaded by create();
+   *   refreshed endpoints become 'live', and {@link TRMNLPicker#catalogSource} is updated from all of them
+   * @returns {Promise<void>} Never rejects
+   * @fires TRMNLPicker#trmnl:error
    */
-  _initializeElements() {
-    this.elements = {
-      modelSelect: this.formElement.querySelector('[data-model-select]'),
-      paletteSelect: this.formElement.querySelector('[data-palette-select]'),
-      orientationToggle: this.formElement.querySelector('[data-orientation-toggle]'),
-      darkModeToggle: this.formElement.querySelector('[data-dark-mode-toggle]'),
-      resetButton: this.formElement.querySelector('[data-reset-button]'),
+  async _revalidateCatalog(options, catalog, refreshNames, endpointSources) {
+    const fresh = { ...catalog }
 
-      // Optional: UI indicator elements
-      orientationText: this.formElement.querySelector('[data-orientation-text]'),
-      darkModeText: this.formElement.querySelector('[data-dark-mode-text]')
+    try {
+      const results = await Promise.all(refreshNames.map(name => fetchApiData(name, options)))
+      refreshNames.forEach((name, index) => {
+        fresh[name] = results[index]
+      })
+    } catch (error) {
+      console.warn('TRMNLPicker: Failed to refresh API data, keeping cached data:', error)
+      return
     }
 
-    // Validate required elements
-    const required = ['modelSelect', 'paletteSelect']
-    for (const key of required) {
+    // Destroyed while refreshing
+    if (!this.core) return
+
+    const changed = refreshNames.some(name => JSON.stringify(fresh[name]) !== JSON.stringify(catalog[name]))
+    const previousSource = this.catalogSource
+    const sources = { ...endpointSources }
+    refreshNames.forEach(name => {
+      sources[name] = 'live'
+    })
+
+    // Updated first, so the 'catalog' change already reports the new source
+    this.catalogSource = _leastCurrentSource(Object.values(sources))
+
+    try {
+      if (changed) {
+        this.setCatalog(fresh)
+      }
+    } catch (error) {
+      this.catalogSource = previousSource
+      console.warn('TRMNLPicker: Refreshed API data was rejected, keeping cached data:', error)
+
+      // Keep serving the catalog that works instead of failing on the next startup
+      refreshNames.forEach(name => {
+        setCachedApiData(getApiUrl(name, options), catalog[name])
+      })
+
+      this._dispatch('trmnl:error', {
+        error,
+        retry: () => this._revalidateCatalog(options, catalog, refreshNames, endpointSources).then(() => this)
+      })
+    }
+  }
+
+  /**
+   * Resolve a form element from an ID or element reference
+   * @private
+   * @static
+   * @param {string|Element} formIdOrElement - Form element ID or DOM element reference
+   * @returns {Element} Form element
+   * @throws {Error} If the element cannot be found
+   */
+  static _resolveFormElement(formIdOrElement) {
+    // Validate inputs
+    if (!formIdOrElement) {
+      throw new Error('TRMNLPicker: formIdOrElement is required')
+    }
+
+    // Accept either string ID or DOM element
+    if (typeof formIdOrElement === 'string') {
+      const formElement = document.getElementById(formIdOrElement)
+      if (!formElement) {
+        throw new Error(`TRMNLPicker: Form element with id "${formIdOrElement}" not found`)
+      }
+      return formElement
+    }
+
+    if (formIdOrElement instanceof Element) {
+      return formIdOrElement
+    }
+
+    throw new Error('TRMNLPicker: formIdOrElement must be a string ID or DOM element')
+  }
+
+  /**
+   * Get a user-facing message for a loading error
+   * @private
+   * @static
+   * @param {Error} error - Error thrown while creating the picker
+   * @param {Messages} messages - Strings for the picker's locale
+   * @returns {string} Message for the status element
+   */
+  static _getErrorMessage(error, messages) {
+    if (error instanceof TRMNLPickerNetworkError) {
+      return messages.format(error.timedOut ? 'timeout' : 'network')
+    }
+    if (error instanceof TRMNLPickerHttpError) {
+      return messages.format('http', { status: String(error.status) })
+    }
+    if (error instanceof TRMNLPickerPayloadError) return messages.format('payload')
+    if (error instanceof TRMNLPickerNoModelsError) return messages.format('noModels')
+
+    return error.message
+  }
+
+  /**
+   * Replace the pending retry of a form's `[data-retry-button]`, so repeated failures never stack
+   * click handlers
+   * @private
+   * @static
+   * @param {Element} formElement - Form element
+   * @param {Function|null} retry - Retry to run on the next click, or null to remove the pending one
+   */
+  static _setRetryHandler(formElement, retry) {
+    const pending = _retryHandlers.get(formElement)
+    if (pending) {
+      pending.button.removeEventListener('click', pending.handler)
+      _retryHandlers.delete(formElement)
+    }
+
+    const button = retry && formElement.querySelector('[data-retry-button]')
+    if (!button) return
+
+    const handler = () => {
+      TRMNLPicker._setRetryHandler(formElement, null)
+      // The outcome of the retry is reported through the same events
+      retry().catch(() => {})
+    }
+    button.addEventListener('click', handler)
+    _retryHandlers.set(formElement, { button, handler })
+  }
+
+  /**
+   * Reflect the loading state in the form and its optional status hooks
+   *
+   * Sets `data-picker-state` ('loading', 'error' or 'ready') and `aria-busy` on the form,
+   * writes a message to `[data-picker-status]`, and shows `[data-retry-button]` only after an error.
+   *
+   * @private
+   * @static
+   * @param {Element} formElement - Form element
+   * @param {string|null} state - 'loading', 'error', 'ready', or null to clear
+   * @param {Error|null} error - Error to describe when state is 'error'
+   * @param {Messages} messages - Strings for the picker's locale
+   */
+  static _setStatus(formElement, state, error, messages) {
+    if (state) {
+      formElement.setAttribute('data-picker-state', state)
+    } else {
+      formElement.removeAttribute('data-picker-state')
+    }
+
+    if (state === 'loading') {
+      formElement.setAttribute('aria-busy', 'true')
+    } else {
+      formElement.removeAttribute('aria-busy')
+    }
+
+    const statusElement = formElement.querySelector('[data-picker-status]')
+    if (statusElement) {
+      if (!statusElement.hasAttribute('role')) {
+        statusElement.setAttribute('role', 'status')
+      }
+
+      if (state === 'loading') {
+        statusElement.textContent = messages.format('loading')
+      } else if (state === 'error') {
+        statusElement.textContent = TRMNLPicker._getErrorMessage(error, messages)
+      } else {
+        statusElement.textContent = ''
+      }
+
+      statusElement.hidden = state !== 'loading' && state !== 'error'
+    }
+
+    const retryButton = formElement.querySelector('[data-retry-button]')
+    if (retryButton) {
+      retryButton.hidden = state !== 'error'
+    }
+  }
+
+  constructor(formIdOrElement, options = {}) {
+    this.formElement = TRMNLPicker._resolveFormElement(formIdOrElement)
+
+    const {
+      models,
+      palettes,
+      localStorageKey,
+      urlMode,
+      params,
+      render,
+      scales,
+      filter,
+      groupBy,
+      groupOrder,
+      sortBy,
+      modelSearch,
+      paletteSwatches,
+      targets,
+      afterApply,
+      sync,
+      comparisons = [],
+      historyLimit = _HISTORY_LIMIT,
+      validation,
+      storage,
+      presets = [],
+      locale,
+      messages,
+      announce,
+      shortcuts,
+      catalogSource = 'provided',
+      saved
+    } = options
+
+    if (urlMode && !_URL_MODES.includes(urlMode)) {
+      throw new Error(`TRMNLPicker: urlMode must be one of: ${_URL_MODES.join(', ')}`)
+    }
+
+    if (sync && !(typeof sync === 'string' || (sync === true && localStorageKey))) {
+      throw new Error('TRMNLPicker: sync must be a channel name, or true with a localStorageKey')
+    }
+
+    this.models = models
+    this.palettes = palettes
+    this.localStorageKey = localStorageKey
+    this.storage = resolveStorage(storage)
+
+    // User-visible strings (see setLocale), and the markup text of [data-picker-text] elements
+    this._messages = new Messages(locale, messages)
+    this._markupTexts = new WeakMap()
+    this.urlMode = urlMode
+    this.initialParams = params
+    this.render = render
+    this.modelSearch = modelSearch
+    this.paletteSwatches = paletteSwatches
+    this.targets = targets
+    this.afterApply = afterApply
+    this.sync = sync
+    this.historyLimit = historyLimit
+    this.announce = announce
+
+    // Actions by key; empty unless the shortcuts option is set
+    this._shortcutKeys = _resolveShortcuts(shortcuts)
+
+    // Params snapshots for undo/redo, most recent last
+    this._undoStack = []
+    this._redoStack = []
+
+    // Screen classes added to each target by the picker, so only those are ever removed
+    this._appliedClasses = new Map()
+
+    /**
+     * Where the models and palettes in use came from: 'provided' (passed in by the caller),
+     * 'live' (fetched from the API), 'cached' (localStorage API cache) or 'bundled'
+     * (offline snapshot shipped with the package)
+     * @type {string}
+     */
+    this.catalogSource = catalogSource
+
+    // Params and presets already loaded from an async storage adapter by create()
+    this._saved = saved
+
+    // Comparison entries: { id, params }
+    this._comparisons = []
+    this._nextComparisonId = 1
+
+    // Listeners added with on() and subscribe(), by event type
+    this._listeners = new Map()
+
+    // Named params snapshots: { label, params }
+    this._presets = new PresetList()
+
+    // Only initialize if we have data
+    if (this.models && this.palettes) {
+      // Headless state engine (validates and filters models)
+      this.core = new TRMNLPickerCore({ models, palettes, scales, filter, groupBy, groupOrder, sortBy, validation })
+      this.models = this.core.models
+
+      this._loadPresets(presets)
+
+      // Initialize DOM elements and bind events
+      this._initializeElements()
+      this._bindEvents()
+
+      // Set initial state (will load saved params from storage if available)
+      this._setInitialState()
+
+      comparisons.forEach(params => this.addComparison(params))
+    }
+  }
+
+  /**
+   * Find and store references to form elements using data-* attributes
+   * @private
+   */
+  _initializeElements() {
+    this._renderControls()
+
+    this.elements = {
+      modelSelect: this.formElement.querySelector(_CONTROLS.modelSelect.selector),
+      paletteSelect: this.formElement.querySelector(_CONTROLS.paletteSelect.selector),
+      orientationToggle: this.formElement.querySelector(_CONTROLS.orientationToggle.selector),
+      darkModeToggle: this.formElement.querySelector(_CONTROLS.darkModeToggle.selector),
+      scaleSelect: this.formElement.querySelector(_CONTROLS.scaleSelect.selector),
+      resetButton: this.formElement.querySelector(_CONTROLS.resetButton.selector),
+
+      // Optional: adds the current selection to the comparison list
+      compareButton: this.formElement.querySelector('[data-compare-button]'),
+
+      // Optional: undo/redo history
+      undoButton: this.formElement.querySelector('[data-undo-button]'),
+      redoButton: this.formElement.querySelector('[data-redo-button]'),
+
+      // Optional: applies a saved preset
+      presetSelect: this.formElement.querySelector('[data-preset-select]'),
+
+      // Optional: UI indicator elements
+      orientationText: this.formElement.querySelector('[data-orientation-text]'),
+      darkModeText: this.formElement.querySelector('[data-dark-mode-text]'),
+      resolutionText: this.formElement.querySelector('[data-resolution-text]')
+    }
+
+    // Validate required elements
+    const required = ['modelSelect', 'paletteSelect']
+    for (const key of required) {
       if (!this.elements[key]) {
         throw new Error(`TRMNLPicker: Required element "${key}" not found in form`)
       }
     }
+
+    // Optional: searchable combobox in front of the model select
+    this.modelCombobox = null
+    if (this.modelSearch) {
+      const { placeholder } = this.modelSearch === true ? {} : this.modelSearch
+      this.modelCombobox = new ModelCombobox({
+        select: this.elements.modelSelect,
+        core: this.core,
+        messages: this._messages,
+        placeholder,
+        formatGroupLabel: label => this._formatGroupLabel(label),
+        onSelect: modelName => this._setParams('form', { modelName })
+      })
+      this.elements.modelSearch = this.modelCombobox.input
+    }
+
+    // Optional: palette radios with color swatches in front of the palette select
+    this.paletteSwatchControl = null
+    if (this.paletteSwatches) {
+      this.paletteSwatchControl = new PaletteSwatches({
+        select: this.elements.paletteSelect,
+        core: this.core,
+        messages: this._messages,
+        onSelect: paletteId => this._setParams('form', { paletteId })
+      })
+      this.elements.paletteSwatches = this.paletteSwatchControl.element
+    }
+
+    // Optional: polite live region announcing each change
+    this.elements.announcer = this.formElement.querySelector('[data-picker-announcer]')
+    if (!this.elements.announcer && this.announce) {
+      this.elements.announcer = document.createElement('div')
+      this.elements.announcer.setAttribute('data-picker-announcer', '')
+      this.elements.announcer.style.cssText = _VISUALLY_HIDDEN_STYLE
+      this.formElement.appendChild(this.elements.announcer)
+      this._createdElements.push(this.elements.announcer)
+    }
+
+    if (this.elements.announcer) {
+      if (!this.elements.announcer.hasAttribute('role')) {
+        this.elements.announcer.setAttribute('role', 'status')
+      }
+      this.elements.announcer.setAttribute('aria-live', 'polite')
+    }
+  }
+
+  /**
+   * Build controls missing from the form when render mode is enabled
+   * @private
+   * @throws {Error} If a custom template does not contain its control's data-* attribute
+   */
+  _renderControls() {
+    this._createdElements = []
+
+    if (!this.render) return
+
+    const { templates = {}, classes = {} } = this.render === true ? {} : this.render
+
+    for (const [key, { selector, template }] of Object.entries(_CONTROLS)) {
+      if (this.formElement.querySelector(selector)) continue
+
+      // Optional controls can be skipped with a falsy template
+      if (key in templates && !templates[key]) continue
+
+      const templateElement = document.createElement('template')
+      templateElement.innerHTML = (templates[key] || template).trim()
+      const element = templateElement.content.firstElementChild
+
+      if (!element || !(element.matches(selector) || element.querySelector(selector))) {
+        throw new Error(`TRMNLPicker: template for "${key}" must contain ${selector}`)
+      }
+
+      if (classes[key]) {
+        element.classList.add(...classes[key].split(/\s+/).filter(Boolean))
+      }
+
+      this._createdElements.push(element)
+    }
+
+    // Append only once every template is known to be valid
+    this._createdElements.forEach(element => this.formElement.appendChild(element))
   }
 
   /**
@@ -338,9 +1280,20 @@ class TRMNLPicker {
       paletteChange: this._handlePaletteChange.bind(this),
       orientationToggle: this._toggleOrientation.bind(this),
       darkModeToggle: this._toggleDarkMode.bind(this),
-      reset: this._resetToModelDefaults.bind(this)
+      scaleChange: this._handleScaleChange.bind(this),
+      reset: this._resetToModelDefaults.bind(this),
+      compare: () => this.addComparison(),
+      undo: () => this.undo(),
+      redo: () => this.redo(),
+      presetChange: this._handlePresetChange.bind(this),
+      shortcut: this._handleShortcut.bind(this),
+      urlChange: this._handleUrlChange.bind(this),
+      coreChange: this._handleCoreChange.bind(this)
     }
 
+    // Keep the form in sync with the headless core, whatever changed it
+    this._unsubscribeCore = this.core.subscribe(this.handlers.coreChange)
+
     // Attach event listeners
     this.elements.modelSelect.addEventListener('change', this.handlers.modelChange)
     this.elements.paletteSelect.addEventListener('change', this.handlers.paletteChange)
@@ -353,9 +1306,99 @@ class TRMNLPicker {
       this.elements.darkModeToggle.addEventListener('click', this.handlers.darkModeToggle)
     }
 
+    if (this.elements.scaleSelect) {
+      this.elements.scaleSelect.addEventListener('change', this.handlers.scaleChange)
+    }
+
     if (this.elements.resetButton) {
       this.elements.resetButton.addEventListener('click', this.handlers.reset)
     }
+
+    if (this.elements.compareButton) {
+      this.elements.compareButton.addEventListener('click', this.handlers.compare)
+    }
+
+    if (this.elements.undoButton) {
+      this.elements.undoButton.addEventListener('click', this.handlers.undo)
+    }
+
+    if (this.elements.redoButton) {
+      this.elements.redoButton.addEventListener('click', this.handlers.redo)
+    }
+
+    if (this.elements.presetSelect) {
+      this.elements.presetSelect.addEventListener('change', this.handlers.presetChange)
+    }
+
+    if (this._shortcutKeys.size > 0) {
+      this.formElement.addEventListener('keydown', this.handlers.shortcut)
+      this._setKeyShortcutAttributes()
+    }
+
+    // Back/forward navigation (also fired for manual hash edits)
+    if (this.urlMode) {
+      window.addEventListener('popstate', this.handlers.urlChange)
+    }
+
+    this._startSync()
+  }
+
+  /**
+   * Join the sync channel shared with pickers on this page and in other tabs
+   * @private
+   */
+  _startSync() {
+    this._sync = null
+
+    if (!this.sync) return
+
+    this._sync = new ParamsSync({
+      channel: this.sync === true ? this.localStorageKey : this.sync,
+      getParams: () => this.params,
+      onParams: params => this._applySyncedParams(params)
+    })
+  }
+
+  /**
+   * Leave the sync channel
+   * @private
+   */
+  _stopSync() {
+    if (!this._sync) return
+
+    this._sync.destroy()
+    this._sync = null
+  }
+
+  /**
+   * Get the params of another synced picker on this page, to start from the shared state
+   * @private
+   * @returns {Object|null} Params or null if no other picker is synced
+   */
+  _getSyncedParams() {
+    return this._sync ? this._sync.getPeerParams() : null
+  }
+
+  /**
+   * Share the current params with synced pickers on this page and in other tabs
+   * @private
+   * @param {string} origin - Source of the change
+   */
+  _broadcastParams(origin) {
+    if (!this._sync || _UNSYNCED_ORIGINS.includes(origin)) return
+
+    this._sync.broadcast(this.params)
+  }
+
+  /**
+   * Apply params from another picker, unless they match the current ones
+   * @private
+   * @param {Object} params - Params from the other picker
+   */
+  _applySyncedParams(params) {
+    if (_paramsEqual(this.params, params)) return
+
+    this._setParams('sync', params)
   }
 
   /**
@@ -363,468 +1406,1415 @@ class TRMNLPicker {
    * @private
    */
   _setInitialState() {
-    // Separate models into TRMNL and BYOD groups
-    const trmnlModels = this.models.filter(m => m.kind === 'trmnl')
-    const byodModels = this.models.filter(m => m.kind !== 'trmnl')
-
-    // Sort each group alphabetically by label
-    const sortTRMNL = [...trmnlModels].sort((a, b) => {
-      const labelA = (a.label || a.name).toLowerCase()
-      const labelB = (b.label || b.name).toLowerCase()
-      return labelA.localeCompare(labelB)
-    })
+    this._populateModels()
+    this._populatePresets()
 
-    const sortBYOD = [...byodModels].sort((a, b) => {
-      const labelA = (a.label || a.name).toLowerCase()
-      const labelB = (b.label || b.name).toLowerCase()
-      return labelA.localeCompare(labelB)
-    })
+    this._populateScales()
+    this._updateTexts()
+
+    const savedParams = this._loadFromStorage() || {}
+    const syncedParams = this._getSyncedParams() || {}
+    const urlParams = this._loadFromUrl() || {}
+    const params = { ...this.initialParams, ...savedParams, ...syncedParams, ...urlParams }
+    const defaultParams = this.core.defaultParams
+
+    // A model without a palette gets its own first valid palette, not the default model's
+    if (params.modelName && !params.paletteId) {
+      delete defaultParams.paletteId
+    }
 
-    // Populate model select with grouped models
+    // Saved or linked params may name a model the filter excludes; resolving drops it first
+    const { params: initialParams } = this.core.resolve({ ...defaultParams, ...params })
+
+    // The constructor change is always emitted, even when the params match the core's defaults
+    this.core.setParams(initialParams, 'constructor', { silent: true })
+    this.core.notify('constructor')
+  }
+
+  /**
+   * Populate model dropdown with grouped models (options are added directly when grouping is off)
+   * @private
+   */
+  _populateModels() {
     this.elements.modelSelect.innerHTML = ''
 
-    // Add TRMNL group
-    if (sortTRMNL.length > 0) {
-      const trmnlGroup = document.createElement('optgroup')
-      trmnlGroup.label = 'TRMNL'
-      sortTRMNL.forEach(model => {
+    this.core.modelGroups.forEach(({ label, models }) => {
+      let parent = this.elements.modelSelect
+      if (label !== null) {
+        parent = document.createElement('optgroup')
+        parent.label = this._formatGroupLabel(label)
+        this.elements.modelSelect.appendChild(parent)
+      }
+
+      models.forEach(model => {
         const option = document.createElement('option')
         option.value = model.name
         option.textContent = model.label || model.name
-        trmnlGroup.appendChild(option)
+        parent.appendChild(option)
       })
-      this.elements.modelSelect.appendChild(trmnlGroup)
+    })
+
+    // Palettes must be repopulated for the new model objects
+    this._renderedModelName = null
+
+    if (this.modelCombobox) {
+      this.modelCombobox.refresh()
     }
+  }
 
-    // Add BYOD group
-    if (sortBYOD.length > 0) {
-      const byodGroup = document.createElement('optgroup')
-      byodGroup.label = 'BYOD'
-      sortBYOD.forEach(model => {
-        const option = document.createElement('option')
-        option.value = model.name
-        option.textContent = model.label || model.name
-        byodGroup.appendChild(option)
-      })
-      this.elements.modelSelect.appendChild(byodGroup)
+  /**
+   * Populate scale select from the configured scales
+   * @private
+   */
+  _populateScales() {
+    if (!this.elements.scaleSelect) return
+
+    this.elements.scaleSelect.innerHTML = ''
+    this.core.scales.forEach(scale => {
+      const option = document.createElement('option')
+      option.value = String(scale.value)
+      option.textContent = this._formatScaleLabel(scale)
+      this.elements.scaleSelect.appendChild(option)
+    })
+  }
+
+  /**
+   * Get the displayed label of a model group, translating the built-in 'kind' groups
+   * @private
+   * @param {string} label - Group label from the core
+   * @returns {string} Label for the current locale
+   */
+  _formatGroupLabel(label) {
+    const key = _GROUP_MESSAGE_KEYS[label]
+    return key ? this._messages.format(key) : label
+  }
+
+  /**
+   * Get the displayed label of a scale: generated labels ('2x') are formatted for the
+   * current locale, custom labels are shown as given
+   * @private
+   * @param {Object} scale - Scale from the core
+   * @returns {string} Label for the current locale
+   */
+  _formatScaleLabel(scale) {
+    if (scale.label !== `${scale.value}x`) return scale.label
+
+    return this._messages.format('scale', { scale: scale.value })
+  }
+
+  /**
+   * Fill every `[data-picker-text]` element in the form with the message named by the attribute,
+   * or its original text when the locale has no such message
+   * @private
+   */
+  _updateTexts() {
+    this.formElement.querySelectorAll('[data-picker-text]').forEach(element => {
+      if (!this._markupTexts.has(element)) {
+        this._markupTexts.set(element, element.textContent)
+      }
+
+      const key = element.getAttribute('data-picker-text')
+      element.textContent = Object.hasOwn(this._messages.strings, key)
+        ? this._messages.format(key)
+        : this._markupTexts.get(element)
+    })
+  }
+
+  /**
+   * Populate palette dropdown based on selected model
+   * @private
+   */
+  _populateModelPalettes() {
+    const model = this.core.state.model
+
+    if (!model) return
+
+    // Clear existing options
+    this.elements.paletteSelect.innerHTML = ''
+
+    // Add options for each valid palette of the model (only if framework_class is not empty)
+    this.core.getModelPalettes(model).forEach(palette => {
+      const option = document.createElement('option')
+      option.value = palette.id
+      option.textContent = palette.name
+      this.elements.paletteSelect.appendChild(option)
+    })
+
+    if (this.paletteSwatchControl) {
+      this.paletteSwatchControl.render()
     }
 
-    // Keep combined sorted list for default selection logic
-    const sortedModels = [...sortTRMNL, ...sortBYOD]
+    this._renderedModelName = model.name
+  }
+
+  /**
+   * Reflect current state in form elements
+   * @private
+   */
+  _updateElements() {
+    const { modelName, paletteId, isPortrait, isDarkMode, scale } = this.params
+
+    this.elements.modelSelect.value = modelName
+
+    if (this._renderedModelName !== modelName) {
+      this._populateModelPalettes()
+
+      if (this.modelCombobox) {
+        this.modelCombobox.update()
+      }
+    }
 
-    // Initialize state
-    this._state = {}
+    this.elements.paletteSelect.value = paletteId
 
-    const defaultModel = sortedModels.find(m => m.name === _DEFAULT_MODEL_NAME) || sortedModels[0]
-    const defaultPaletteId = this._getFirstValidPaletteId(defaultModel)
-    const defaultParams = {
-      modelName: defaultModel.name,
-      paletteId: defaultPaletteId,
-      isPortrait: false,
-      isDarkMode: false
+    if (this.paletteSwatchControl) {
+      this.paletteSwatchControl.update()
     }
 
-    const savedParams = this._loadFromLocalStorage() || {}
+    if (this.elements.orientationToggle) {
+      this.elements.orientationToggle.setAttribute('aria-pressed', String(isPortrait))
+    }
+
+    if (this.elements.darkModeToggle) {
+      this.elements.darkModeToggle.setAttribute('aria-pressed', String(isDarkMode))
+    }
+
+    if (this.elements.orientationText) {
+      this.elements.orientationText.textContent = this._messages.format(isPortrait ? 'portrait' : 'landscape')
+    }
+
+    if (this.elements.darkModeText) {
+      this.elements.darkModeText.textContent = this._messages.format(isDarkMode ? 'darkMode' : 'lightMode')
+    }
+
+    if (this.elements.resolutionText) {
+      const { width, height } = this.state
+      this.elements.resolutionText.textContent = this._messages.format('resolution', {
+        width: Math.round(width),
+        height: Math.round(height)
+      })
+    }
+
+    if (this.elements.scaleSelect) {
+      this.elements.scaleSelect.value = String(scale)
+    }
+
+    this._updateResetButton()
+    this._updateHistoryButtons()
+    this._updatePresetSelect()
+  }
+
+  /**
+   * Handle a state change from the core: sync the form and emit the change event
+   * @private
+   * @param {Object} detail - Change detail from the core (origin plus state)
+   */
+  _handleCoreChange({ origin, previous, changedKeys }) {
+    if (origin === 'catalog') {
+      this._populateModels()
+      this._pruneComparisons()
+    }
+
+    this._updateElements()
+    this._applyScreenClasses()
+
+    // The initial state is not news
+    if (origin !== 'constructor' && changedKeys.length > 0) {
+      this._announce()
+    }
+
+    this._emitChangeEvent(origin, previous, changedKeys)
+  }
+
+  /**
+   * Resolve the `targets` option to elements (selectors are queried on every change,
+   * so targets added later are picked up)
+   * @private
+   * @returns {Array<Element>} Target elements
+   */
+  _getTargets() {
+    if (!this.targets) return []
+    if (typeof this.targets === 'string') return [...document.querySelectorAll(this.targets)]
+    if (this.targets instanceof Element) return [this.targets]
+    return [...this.targets]
+  }
+
+  /**
+   * Apply the screen classes to the targets, then call the afterApply hook
+   *
+   * Screen classes that no longer apply are removed, including ones that were already
+   * present (e.g. `screen--1bit` in the markup), so a target never has two palettes or sizes;
+   * other classes are left alone. Elements that are no longer targets (no longer matching
+   * the selector, or removed from the page) lose the added classes and are forgotten.
+   *
+   * @private
+   */
+  _applyScreenClasses() {
+    if (!this.targets) return
+
+    const classes = this.core.screenClasses
+    const staleClasses = this.core.allScreenClasses.filter(className => !classes.includes(className))
+    const elements = this._getTargets()
+
+    for (const [element, applied] of this._appliedClasses) {
+      if (!elements.includes(element)) {
+        element.classList.remove(...applied)
+        this._appliedClasses.delete(element)
+      }
+    }
+
+    for (const element of elements) {
+      const applied = this._appliedClasses.get(element) || new Set()
+
+      // Classes added for a previous catalog may not be in the current one
+      for (const className of applied) {
+        if (!classes.includes(className)) {
+          element.classList.remove(className)
+          applied.delete(className)
+        }
+      }
+
+      element.classList.remove(...staleClasses)
+
+      for (const className of classes) {
+        if (!element.classList.contains(className)) {
+          element.classList.add(className)
+          applied.add(className)
+        }
+      }
+
+      this._appliedClasses.set(element, applied)
+    }
+
+    if (this.afterApply) {
+      try {
+        this.afterApply(elements, this.state)
+      } catch (error) {
+        console.error('TRMNLPicker: afterApply hook failed:', error)
+      }
+    }
+  }
+
+  /**
+   * Remove the classes added by {@link TRMNLPicker#_applyScreenClasses}
+   * @private
+   */
+  _removeScreenClasses() {
+    for (const [element, applied] of this._appliedClasses) {
+      element.classList.remove(...applied)
+    }
+
+    this._appliedClasses.clear()
+  }
+
+  /**
+   * Emit 'trmnl:change' event with current state and screen classes
+   * @private
+   * @param {string} origin - Source of the change ('constructor', 'form', 'setParams', 'url', 'catalog', 'sync', 'history',
+   *   'preset')
+   * @param {Object|null} [previous=null] - State before the change
+   * @param {Array<string>} [changedKeys=[]] - Params that changed
+   * @fires TRMNLPicker#trmnl:change
+   */
+  _emitChangeEvent(origin, previous = null, changedKeys = []) {
+    // Save to storage if key is configured; synced changes too, since synced pickers may use
+    // different keys or storage areas
+    this._saveToStorage()
+
+    // Mirror params into the page URL if URL sync is enabled
+    this._saveToUrl(origin)
+
+    this._dispatch('trmnl:change', {
+      origin,
+      ...this.state,
+      previous,
+      changedKeys,
+      catalogSource: this.catalogSource
+    })
+
+    // Share with synced pickers and tabs once this picker's listeners have run
+    this._broadcastParams(origin)
+  }
+
+  /**
+   * Load saved state from the storage adapter
+   *
+   * Async adapters are loaded by {@link TRMNLPicker.create} before the picker is constructed;
+   * the constructor alone can only use adapters that load synchronously.
+   *
+   * @private
+   * @returns {Object|null} Saved state or null if not available
+   */
+  _loadFromStorage() {
+    if (this._saved) return this._saved.params
+    if (!this.localStorageKey) return null
+
+    const saved = this._readStorage(this.localStorageKey)
+    return _isParamsObject(saved) ? saved : null
+  }
+
+  /**
+   * Save current state with the storage adapter
+   * @private
+   */
+  _saveToStorage() {
+    if (!this.localStorageKey) return
+
+    this._writeStorage(this.localStorageKey, this.params)
+  }
+
+  /**
+   * Load a value synchronously with the storage adapter
+   * @private
+   * @param {string} key - Storage key
+   * @returns {*} Loaded value, or null if loading failed or is async
+   */
+  _readStorage(key) {
+    try {
+      const saved = this.storage.load(key)
+
+      if (saved && typeof saved.then === 'function') {
+        saved.catch(() => {})
+        console.warn('TRMNLPicker: Storage loads asynchronously, use TRMNLPicker.create() to restore saved state')
+        return null
+      }
+
+      return saved
+    } catch (error) {
+      console.warn('TRMNLPicker: Failed to load saved state:', error)
+      return null
+    }
+  }
+
+  /**
+   * Save a value with the storage adapter (failed async saves are only logged)
+   * @private
+   * @param {string} key - Storage key
+   * @param {*} value - Value to save
+   */
+  _writeStorage(key, value) {
+    const warn = error => console.warn('TRMNLPicker: Failed to save state:', error)
+
+    try {
+      const result = this.storage.save(key, value)
+      if (result && typeof result.then === 'function') {
+        result.catch(warn)
+      }
+    } catch (error) {
+      warn(error)
+    }
+  }
+
+  /**
+   * Get the URLSearchParams holding picker params for the configured URL mode
+   * @private
+   * @returns {URLSearchParams} Search params from the query string or hash
+   */
+  _getUrlSearchParams() {
+    if (this.urlMode === 'hash') {
+      return new URLSearchParams(window.location.hash.replace(/^#/, ''))
+    }
+
+    return new URLSearchParams(window.location.search)
+  }
+
+  /**
+   * Load params from the page URL
+   * @private
+   * @returns {Object|null} Params found in the URL or null if URL sync is disabled or none are present
+   */
+  _loadFromUrl() {
+    if (!this.urlMode) return null
+
+    const searchParams = this._getUrlSearchParams()
+    const params = {}
+
+    const modelName = searchParams.get(_URL_PARAM_NAMES.modelName)
+    if (modelName) params.modelName = modelName
+
+    const paletteId = searchParams.get(_URL_PARAM_NAMES.paletteId)
+    if (paletteId) params.paletteId = paletteId
+
+    for (const key of ['isPortrait', 'isDarkMode']) {
+      const value = searchParams.get(_URL_PARAM_NAMES[key])
+      if (value === '1' || value === 'true') params[key] = true
+      if (value === '0' || value === 'false') params[key] = false
+    }
+
+    const scale = searchParams.get(_URL_PARAM_NAMES.scale)
+    if (scale) params.scale = Number(scale)
+
+    return Object.keys(params).length > 0 ? params : null
+  }
+
+  /**
+   * Write current params to the page URL, preserving unrelated query/hash parameters
+   * @private
+   * @param {string} origin - Source of the change; the initial state replaces the current
+   *   history entry, 'url' changes are not written back, all others push a new entry
+   */
+  _saveToUrl(origin) {
+    if (!this.urlMode || origin === 'url') return
+
+    const params = this.params
+    const searchParams = this._getUrlSearchParams()
+
+    searchParams.set(_URL_PARAM_NAMES.modelName, params.modelName)
+    searchParams.set(_URL_PARAM_NAMES.paletteId, params.paletteId)
+    searchParams.set(_URL_PARAM_NAMES.isPortrait, params.isPortrait ? '1' : '0')
+    searchParams.set(_URL_PARAM_NAMES.isDarkMode, params.isDarkMode ? '1' : '0')
+    searchParams.set(_URL_PARAM_NAMES.scale, params.scale)
+
+    const url = new URL(window.location.href)
+    if (this.urlMode === 'hash') {
+      url.hash = searchParams.toString()
+    } else {
+      url.search = searchParams.toString()
+    }
+
+    if (url.href === window.location.href) return
+
+    try {
+      // Startup and changes from other pickers are not navigation steps of this page
+      if (origin === 'constructor' || origin === 'sync') {
+        window.history.replaceState(window.history.state, '', url.href)
+      } else {
+        window.history.pushState(window.history.state, '', url.href)
+      }
+    } catch (error) {
+      console.warn('TRMNLPicker: Failed to update URL:', error)
+    }
+  }
+
+  /**
+   * Handle back/forward navigation by applying params from the URL
+   * @private
+   */
+  _handleUrlChange() {
+    const urlParams = this._loadFromUrl()
+    if (urlParams) {
+      this._setParams('url', urlParams)
+    }
+  }
+
+  /**
+   * Handle model selection change
+   * @private
+   */
+  _handleModelChange(event) {
+    this._setParams('form', { modelName: event.target.value })
+  }
+
+  /**
+   * Handle palette selection change
+   * @private
+   */
+  _handlePaletteChange(event) {
+    this._setParams('form', { paletteId: event.target.value })
+  }
+
+  /**
+   * Handle scale selection change
+   * @private
+   */
+  _handleScaleChange(event) {
+    this._setParams('form', { scale: Number(event.target.value) })
+  }
+
+  /**
+   * Toggle orientation between portrait and landscape
+   * @private
+   */
+  _toggleOrientation() {
+    this._setParams('form', { isPortrait: !this.params.isPortrait })
+  }
+
+  /**
+   * Toggle dark mode on/off
+   * @private
+   */
+  _toggleDarkMode() {
+    this._setParams('form', { isDarkMode: !this.params.isDarkMode })
+  }
+
+  /**
+   * Reset to defaults: first valid palette, landscape orientation, light mode
+   * @private
+   */
+  _resetToModelDefaults() {
+    if (this.core.isAtModelDefaults) return
+
+    this._setParams('form', this.core.modelDefaultParams)
+  }
+
+  /**
+   * Select the previous or next model in display order, wrapping around
+   * @private
+   * @param {number} step - -1 for the previous model, 1 for the next
+   */
+  _stepModel(step) {
+    const models = this.core.modelGroups.flatMap(group => group.models)
+    const index = models.findIndex(model => model.name === this.params.modelName)
+    const model = models[(index + step + models.length) % models.length]
+
+    this._setParams('form', { modelName: model.name })
+  }
+
+  /**
+   * Run the action of a keyboard shortcut pressed inside the form
+   *
+   * Ignored with Ctrl, Alt or Meta held, and while typing in a text field or select.
+   *
+   * @private
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  _handleShortcut(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return
+    if (_isTextEntry(event.target)) return
+
+    const action = this._shortcutKeys.get(_normalizeShortcutKey(event.key))
+    if (!action) return
+
+    event.preventDefault()
+
+    switch (action) {
+      case 'orientation':
+        this._toggleOrientation()
+        break
+      case 'darkMode':
+        this._toggleDarkMode()
+        break
+      case 'previousModel':
+        this._stepModel(-1)
+        break
+      case 'nextModel':
+        this._stepModel(1)
+        break
+      case 'reset':
+        this._resetToModelDefaults()
+        break
+    }
+  }
+
+  /**
+   * Advertise the keyboard shortcuts on the controls they operate with aria-keyshortcuts
+   * @private
+   */
+  _setKeyShortcutAttributes() {
+    const keysByAction = {}
+    this._shortcutKeys.forEach((action, key) => {
+      keysByAction[action] = key
+    })
+
+    const targets = [
+      [this.elements.orientationToggle, keysByAction.orientation],
+      [this.elements.darkModeToggle, keysByAction.darkMode],
+      [this.elements.resetButton, keysByAction.reset]
+    ]
+
+    targets.forEach(([element, keys]) => {
+      if (element && keys) element.setAttribute('aria-keyshortcuts', keys)
+    })
+  }
+
+  /**
+   * Describe the current selection in the live region, e.g. "OG+, 2-bit, portrait"
+   * @private
+   */
+  _announce() {
+    if (!this.elements.announcer) return
+
+    const { model, palette, isPortrait, isDarkMode } = this.state
+    this.elements.announcer.textContent = this._messages.format(isDarkMode ? 'announcementDarkMode' : 'announcement', {
+      model: model.label || model.name,
+      palette: palette ? palette.name : '',
+      orientation: this._messages.format(isPortrait ? 'announcePortrait' : 'announceLandscape')
+    })
+  }
+
+  /**
+   * Update reset button enabled/disabled state
+   * Button is disabled only when palette, orientation, and dark mode are all at defaults
+   * @private
+   */
+  _updateResetButton() {
+    if (!this.elements.resetButton) return
+
+    const isAtDefaults = this.core.isAtModelDefaults
+
+    this.elements.resetButton.disabled = isAtDefaults
+
+    if (isAtDefaults) {
+      this.elements.resetButton.classList.add('opacity-50', 'cursor-default')
+    } else {
+      this.elements.resetButton.classList.remove('opacity-50', 'cursor-default')
+    }
+  }
+
+  /**
+   * Get current picker parameters (serializable state)
+   * @public
+   * @returns {Object} Current parameters for persistence or API calls
+   * @returns {string} return.modelName - Selected model name
+   * @returns {string} return.paletteId - Selected palette ID
+   * @returns {boolean} return.isPortrait - Portrait orientation flag
+   * @returns {boolean} return.isDarkMode - Dark mode flag
+   * @returns {number} return.scale - Preview scale
+   *
+   * @example
+   * const params = picker.params
+   * // { modelName: 'og_plus', paletteId: '123', isPortrait: false, isDarkMode: false, scale: 1 }
+   *
+   * // Can be used to restore state later
+   * localStorage.setItem('picker-state', JSON.stringify(picker.params))
+   */
+  get params() {
+    return this.core.params
+  }
+
+  /**
+   * Update picker configuration programmatically
+   * @public
+   * @param {Object} params - Configuration object (all fields optional)
+   * @param {string} [params.modelName] - Model name to select
+   * @param {string} [params.paletteId] - Palette ID to select
+   * @param {boolean} [params.isPortrait] - Portrait orientation
+   * @param {boolean} [params.isDarkMode] - Dark mode enabled
+   * @param {number} [params.scale] - Preview scale (one of the configured scales)
+   * @returns {boolean} True if any param changed (false if nothing changed or the change was cancelled)
+   * @fires TRMNLPicker#trmnl:beforechange
+   * @fires TRMNLPicker#trmnl:change
+   * @throws {Error} If params is not an object
+   * @throws {TRMNLPickerError} If params.modelName is excluded by the `filter` option
+   *
+   * @example
+   * // Update single parameter
+   * picker.setParams({ isDarkMode: true })
+   *
+   * // Update multiple parameters
+   * picker.setParams({
+   *   modelName: 'og_plus',
+   *   paletteId: '123',
+   *   isPortrait: true
+   * })
+   *
+   * // Note: Changing model resets palette to first valid palette of that model
+   */
+  setParams(params) {
+    this.core.assertModelAllowed(params)
+    return this._setParams('setParams', params)
+  }
+
+  /**
+   * Internal method to update picker state with origin tracking
+   * @private
+   * @param {string} origin - Source of change ('constructor', 'form', 'setParams', 'url', 'catalog', 'sync', 'history',
+   *   'preset')
+   * @param {Object} params - Parameters to update
+   * @returns {boolean} True if any param changed
+   * @fires TRMNLPicker#trmnl:beforechange
+   */
+  _setParams(origin, params) {
+    const current = this.params
+    const proposed = this.core.resolve(params).params
+
+    // Setting the current values again is a no-op: no events, no history step
+    if (_paramsEqual(current, proposed)) return false
+
+    const beforeChange = { origin, params: proposed, current }
+
+    if (!this._dispatch('trmnl:beforechange', beforeChange, true)) {
+      // Put the form controls back to the current state
+      this._updateElements()
+      return false
+    }
+
+    // Listeners may have rewritten the params to an excluded model; fail before touching history
+    this.core.assertModelAllowed(beforeChange.params)
+
+    // Record before applying so canUndo is already true for change listeners
+    const recording = this.historyLimit > 0 && !_UNRECORDED_ORIGINS.includes(origin)
+    const redoStack = this._redoStack
+    if (recording) {
+      this._undoStack.push(current)
+      this._redoStack = []
+    }
+
+    // Listeners may have rewritten the proposed params
+    const changed = this.core.setParams(beforeChange.params, origin)
+
+    if (!changed) {
+      // Rewritten back to the current values: forget the snapshot and resync the controls
+      if (recording) {
+        this._undoStack.pop()
+        this._redoStack = redoStack
+      }
+      this._updateElements()
+    } else if (this._undoStack.length > this.historyLimit) {
+      this._undoStack.shift()
+    }
+
+    return changed
+  }
+
+  /**
+   * Whether there is a change to undo
+   * @public
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this._undoStack.length > 0
+  }
+
+  /**
+   * Whether there is an undone change to redo
+   * @public
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this._redoStack.length > 0
+  }
+
+  /**
+   * Go back to the params before the last change
+   *
+   * Changes from the form, {@link TRMNLPicker#setParams} and presets are recorded, up to
+   * `historyLimit` steps; changes from synced pickers are undone in the picker that made them.
+   * Emits 'trmnl:change' with the 'history' origin.
+   *
+   * @public
+   * @returns {boolean} True if a change was undone
+   * @fires TRMNLPicker#trmnl:change
+   *
+   * @example
+   * picker.setParams({ modelName: 'og_png' })
+   * picker.undo() // back to the previous model
+   * picker.redo() // og_png again
+   */
+  undo() {
+    return this._stepHistory(this._undoStack, this._redoStack)
+  }
+
+  /**
+   * Re-apply the last undone change
+   * @public
+   * @returns {boolean} True if a change was redone
+   * @fires TRMNLPicker#trmnl:change
+   */
+  redo() {
+    return this._stepHistory(this._redoStack, this._undoStack)
+  }
+
+  /**
+   * Apply the last snapshot of one history stack, saving the current params on the other
+   *
+   * Snapshots that no longer change anything (e.g. their model was removed from the
+   * catalog) are skipped; a step cancelled through `trmnl:beforechange` is kept.
+   *
+   * @private
+   * @param {Array<Object>} from - Stack to take the snapshot from
+   * @param {Array<Object>} to - Stack to save the current params on
+   * @returns {boolean} True if a snapshot was applied
+   */
+  _stepHistory(from, to) {
+    while (from.length > 0) {
+      const target = from.pop()
+      const current = this.params
+
+      to.push(current)
+      if (this._setParams('history', target)) return true
+      to.pop()
+
+      if (!_paramsEqual(this.core.resolve(target).params, current)) {
+        from.push(target)
+        break
+      }
+    }
+
+    this._updateHistoryButtons()
+    return false
+  }
+
+  /**
+   * Enable or disable the undo/redo buttons
+   * @private
+   */
+  _updateHistoryButtons() {
+    if (this.elements.undoButton) {
+      this.elements.undoButton.disabled = !this.canUndo
+    }
+
+    if (this.elements.redoButton) {
+      this.elements.redoButton.disabled = !this.canRedo
+    }
+  }
+
+  /**
+   * Replace the models and palettes catalog, updating the selects in place
+   *
+   * The current selection is kept when still valid (see {@link TRMNLPickerCore#setCatalog}).
+   * Emits 'trmnl:change' with the 'catalog' origin, then 'trmnl:catalog-update' with the
+   * added and removed models and palettes.
+   *
+   * @public
+   * @param {Object} catalog - New catalog
+   * @param {Array<Object>} catalog.models - Array of model objects
+   * @param {Array<Object>} catalog.palettes - Array of palette objects
+   * @fires TRMNLPicker#trmnl:change
+   * @fires TRMNLPicker#trmnl:catalog-update
+   * @throws {Error} If the catalog is invalid (the current catalog is kept)
+   */
+  setCatalog({ models, palettes }) {
+    const previous = { models: this.core.models, palettes: this.core.palettes }
+
+    this.core.setCatalog({ models, palettes })
+    this.models = this.core.models
+    this.palettes = this.core.palettes
+
+    const diff = (before, after, key) => ({
+      added: after.filter(item => !before.some(other => other[key] === item[key])),
+      removed: before.filter(item => !after.some(other => other[key] === item[key]))
+    })
+
+    this._dispatch('trmnl:catalog-update', {
+      models: diff(previous.models, this.models, 'name'),
+      palettes: diff(previous.palettes, this.palettes, 'id')
+    })
+  }
+
+  /**
+   * Get the comparison list: one resolved state per entry, to render a preview for each
+   *
+   * Each entry has an `id`, its `params`, and the same fields as {@link TRMNLPicker#state}
+   * (screenClasses, width, height, model, palette, ...).
+   *
+   * @public
+   * @returns {Array<Object>} Comparison entries in display order
+   *
+   * @example
+   * picker.comparisons.forEach(({ id, screenClasses, width, height }) => {
+   *   renderPreview(id, screenClasses, width, height)
+   * })
+   */
+  get comparisons() {
+    return this._comparisons.map(entry => this._resolveComparison(entry))
+  }
+
+  /**
+   * Add an entry to the comparison list
+   *
+   * Params are applied over the current selection, so calling it without arguments (or
+   * clicking `[data-compare-button]`) adds what is currently selected. A model given without
+   * a palette gets its first valid palette.
+   *
+   * @public
+   * @param {Object} [params] - Params of the entry (modelName, paletteId, isPortrait, isDarkMode, scale)
+   * @returns {Object} The added entry
+   * @fires TRMNLPicker#trmnl:comparison-add
+   * @throws {TRMNLPickerError} If params.modelName is excluded by the `filter` option
+   *
+   * @example
+   * picker.addComparison({ modelName: 'og_png' })
+   * picker.addComparison({ modelName: 'og_plus', isPortrait: true })
+   */
+  addComparison(params = {}) {
+    this.core.assertModelAllowed(params)
+
+    const { params: resolved } = this.core.resolve(params)
+    const entry = { id: this._nextComparisonId++, params: resolved }
+    this._comparisons.push(entry)
+
+    const resolvedEntry = this._resolveComparison(entry)
+    this._emitComparisonEvent('trmnl:comparison-add', {
+      entry: resolvedEntry,
+      index: this._comparisons.length - 1
+    })
+
+    return resolvedEntry
+  }
+
+  /**
+   * Remove an entry from the comparison list
+   * @public
+   * @param {number} id - Entry ID
+   * @returns {boolean} True if the entry was found and removed
+   * @fires TRMNLPicker#trmnl:comparison-remove
+   */
+  removeComparison(id) {
+    const index = this._comparisons.findIndex(entry => entry.id === id)
+    if (index === -1) return false
+
+    const [entry] = this._comparisons.splice(index, 1)
+    this._emitComparisonEvent('trmnl:comparison-remove', {
+      entry: { id: entry.id, params: entry.params },
+      index
+    })
 
-    this._setParams('constructor', { ...defaultParams, ...savedParams })
+    return true
   }
 
   /**
-   * Populate palette dropdown based on selected model
-   * @private
+   * Move an entry of the comparison list to another position
+   * @public
+   * @param {number} id - Entry ID
+   * @param {number} index - New position, clamped to the list
+   * @returns {boolean} True if the entry was found and moved
+   * @fires TRMNLPicker#trmnl:comparison-reorder
    */
-  _populateModelPalettes() {
-    const modelName = this.elements.modelSelect.value
-    const model = this.models.find(m => m.name === modelName)
+  moveComparison(id, index) {
+    const from = this._comparisons.findIndex(entry => entry.id === id)
+    if (from === -1) return false
 
-    if (!model) return
+    const to = Math.min(Math.max(Number(index) || 0, 0), this._comparisons.length - 1)
+    if (to === from) return true
 
-    // Clear existing options
-    this.elements.paletteSelect.innerHTML = ''
+    const [entry] = this._comparisons.splice(from, 1)
+    this._comparisons.splice(to, 0, entry)
 
-    // Add options for each palette_id in the model (only if framework_class is not empty)
-    model.palette_ids.forEach(paletteId => {
-      const palette = this.palettes.find(p => p.id === paletteId)
-      if (palette && palette.framework_class && palette.framework_class.trim() !== '') {
-        const option = document.createElement('option')
-        option.value = palette.id
-        option.textContent = palette.name
-        this.elements.paletteSelect.appendChild(option)
-      }
+    this._emitComparisonEvent('trmnl:comparison-reorder', {
+      entry: this._resolveComparison(entry),
+      from,
+      to
     })
+
+    return true
   }
 
   /**
-   * Emit 'trmnl:change' event with current state and screen classes
+   * Resolve a comparison entry to its full state
    * @private
-   * @param {string} origin - Source of the change ('constructor', 'form', 'setParams')
-   * @fires TRMNLPicker#trmnl:change
+   * @param {Object} entry - Entry with id and params
+   * @returns {Object} Entry with id, params and state fields
    */
-  _emitChangeEvent(origin) {
-    // Save to localStorage if key is configured
-    this._saveToLocalStorage()
+  _resolveComparison(entry) {
+    const { params, state } = this.core.resolve(entry.params)
+    return { id: entry.id, params, ...state }
+  }
 
-    const event = new CustomEvent('trmnl:change', {
-      detail: {
-        origin,
-        ...this.state,
-      },
-      bubbles: true
+  /**
+   * Drop comparison entries whose model is no longer in the catalog
+   * @private
+   * @fires TRMNLPicker#trmnl:comparison-remove
+   */
+  _pruneComparisons() {
+    const removed = this._comparisons.filter(entry => {
+      return !this.core.models.some(model => model.name === entry.params.modelName)
     })
 
-    this.formElement.dispatchEvent(event)
+    removed.forEach(entry => this.removeComparison(entry.id))
   }
 
   /**
-   * Load state from localStorage
+   * Dispatch a comparison event with the whole list attached
    * @private
-   * @returns {Object|null} Saved state or null if not available
+   * @param {string} type - Event type
+   * @param {Object} detail - Event-specific details
    */
-  _loadFromLocalStorage() {
-    if (!this.localStorageKey) return null
+  _emitComparisonEvent(type, detail) {
+    this._dispatch(type, { ...detail, comparisons: this.comparisons })
+  }
 
-    try {
-      const saved = localStorage.getItem(this.localStorageKey)
-      if (saved) {
-        return JSON.parse(saved)
-      }
-    } catch (error) {
-      console.warn('TRMNLPicker: Failed to load from localStorage:', error)
-    }
+  /**
+   * Save the current params (or params over them) as a named preset, replacing
+   * any preset with the same label. Presets are persisted with `localStorageKey`.
+   * @public
+   * @param {string} label - Preset name
+   * @param {Object} [params] - Params to save instead of the current ones (missing fields
+   *   are taken from the current params)
+   * @returns {{label: string, params: Object}} The saved preset
+   * @fires TRMNLPicker#trmnl:presets-change
+   * @throws {Error} If label is not a non-empty string
+   * @throws {TRMNLPickerError} If params.modelName is excluded by the `filter` option
+   *
+   * @example
+   * picker.savePreset('OG dark portrait', { modelName: 'og_png', isDarkMode: true, isPortrait: true })
+   * picker.applyPreset('OG dark portrait')
+   */
+  savePreset(label, params = {}) {
+    this.core.assertModelAllowed(params)
+
+    const preset = this._presets.set(label, this.core.resolve(params).params)
+    this._handlePresetsChange()
 
-    return null
+    return preset
   }
 
   /**
-   * Save current state to localStorage
-   * @private
+   * Apply a saved preset. Emits 'trmnl:change' with the 'preset' origin.
+   * @public
+   * @param {string} label - Preset name
+   * @returns {boolean} True if any param changed
+   * @fires TRMNLPicker#trmnl:beforechange
+   * @fires TRMNLPicker#trmnl:change
+   * @throws {TRMNLPickerError} If there is no preset with that label, or its model is excluded
+   *   by the `filter` option
    */
-  _saveToLocalStorage() {
-    if (!this.localStorageKey) return
-
-    try {
-      localStorage.setItem(this.localStorageKey, JSON.stringify(this.params))
-    } catch (error) {
-      console.warn('TRMNLPicker: Failed to save to localStorage:', error)
+  applyPreset(label) {
+    const preset = this._presets.get(label)
+    if (!preset) {
+      throw new TRMNLPickerError(`TRMNLPicker: Unknown preset "${label}"`)
     }
+
+    this.core.assertModelAllowed(preset.params)
+    return this._setParams('preset', preset.params)
   }
 
   /**
-   * Handle model selection change
-   * @private
+   * Delete a preset
+   * @public
+   * @param {string} label - Preset name
+   * @returns {boolean} True if the preset existed
+   * @fires TRMNLPicker#trmnl:presets-change
    */
-  _handleModelChange(event) {
-    this._setParams('form', { modelName: event.target.value })
+  deletePreset(label) {
+    if (!this._presets.delete(label)) return false
+
+    this._handlePresetsChange()
+    return true
   }
 
   /**
-   * Handle palette selection change
-   * @private
+   * Get all presets, in the order they were first saved
+   * @public
+   * @returns {Array<{label: string, params: Object}>} Copies of the presets
    */
-  _handlePaletteChange(event) {
-    this._setParams('form', { paletteId: event.target.value })
+  listPresets() {
+    return this._presets.list()
   }
 
   /**
-   * Toggle orientation between portrait and landscape
-   * @private
+   * Serialize all presets to JSON, e.g. to check them into a repository
+   * @public
+   * @returns {string} JSON array of `{ label, params }` objects
    */
-  _toggleOrientation() {
-    this._setParams('form', { isPortrait: !this._state.isPortrait })
+  exportPresets() {
+    return JSON.stringify(this.listPresets(), null, 2)
   }
 
   /**
-   * Toggle dark mode on/off
-   * @private
+   * Add presets from JSON (as produced by {@link TRMNLPicker#exportPresets}) or an array,
+   * replacing presets with the same label
+   * @public
+   * @param {string|Array<Object>} presets - JSON string or array of `{ label, params }` objects
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.replace=false] - Remove all existing presets first
+   * @returns {Array<{label: string, params: Object}>} All presets after the import
+   * @fires TRMNLPicker#trmnl:presets-change
+   * @throws {TRMNLPickerError} If the JSON is invalid or an entry lacks a label or known params
+   *   (nothing is imported then)
+   *
+   * @example
+   * const response = await fetch('/qa-presets.json')
+   * picker.importPresets(await response.text(), { replace: true })
    */
-  _toggleDarkMode() {
-    this._setParams('form', { isDarkMode: !this._state.isDarkMode })
+  importPresets(presets, { replace = false } = {}) {
+    this._presets.import(presets, { replace })
+    this._handlePresetsChange()
+
+    return this.listPresets()
   }
 
   /**
-   * Reset to defaults: first valid palette, landscape orientation, light mode
+   * Start from the `presets` option, overridden by the presets saved in storage
    * @private
+   * @param {Array<Object>} presets - Presets from the options
    */
-  _resetToModelDefaults() {
-    const model = this._state.model
-    if (!model) return
-
-    // Reset to first valid palette of current model
-    const firstPaletteId = this._getFirstValidPaletteId(model)
+  _loadPresets(presets) {
+    let saved = null
+    if (this._saved) {
+      saved = this._saved.presets
+    } else if (this.localStorageKey) {
+      saved = this._readStorage(`${this.localStorageKey}${_PRESETS_KEY_SUFFIX}`)
+    }
 
-    this._setParams('form', {
-      paletteId: firstPaletteId,
-      isPortrait: false,
-      isDarkMode: false
-    })
+    this._presets = new PresetList([...presets, ...(Array.isArray(saved) ? saved : [])])
   }
 
   /**
-   * Update reset button enabled/disabled state
-   * Button is disabled only when palette, orientation, and dark mode are all at defaults
+   * Persist the presets, refresh the preset select and announce the change
    * @private
+   * @fires TRMNLPicker#trmnl:presets-change
    */
-  _updateResetButton() {
-    if (!this.elements.resetButton) return
-
-    const model = this._state.model
-    if (!model) return
-
-    const firstValidPaletteId = this._getFirstValidPaletteId(model)
-    const isPaletteDefault = this.elements.paletteSelect.value === String(firstValidPaletteId)
-    const isOrientationDefault = this._state.isPortrait === false
-    const isDarkModeDefault = this._state.isDarkMode === false
-
-    const isAtDefaults = isPaletteDefault && isOrientationDefault && isDarkModeDefault
-
-    this.elements.resetButton.disabled = isAtDefaults
-
-    if (isAtDefaults) {
-      this.elements.resetButton.classList.add('opacity-50', 'cursor-default')
-      this.elements.resetButton.setAttribute('aria-disabled', 'true')
-    } else {
-      this.elements.resetButton.classList.remove('opacity-50', 'cursor-default')
-      this.elements.resetButton.removeAttribute('aria-disabled')
+  _handlePresetsChange() {
+    if (this.localStorageKey) {
+      this._writeStorage(`${this.localStorageKey}${_PRESETS_KEY_SUFFIX}`, this._presets.list())
     }
+
+    this._populatePresets()
+    this._dispatch('trmnl:presets-change', { presets: this.listPresets() })
   }
 
   /**
-   * Get CSS classes for the current picker configuration
+   * Fill the preset select with a placeholder and one option per preset
    * @private
-   * @returns {Array<string>} Array of CSS class names for Framework CSS rendering
-   *
-   * Generated classes (in order):
-   * 1. 'screen' - Base class (always present)
-   * 2. palette.framework_class - From selected palette (e.g., 'screen--1bit')
-   * 3. model.css.classes.device - From model API (e.g., 'screen--v2')
-   * 4. model.css.classes.size - From model API (e.g., 'screen--md')
-   * 5. 'screen--portrait' - Only when portrait orientation is enabled
-   * 6. 'screen--1x' - Scale indicator (always 1x)
-   * 7. 'screen--dark-mode' - Only when dark mode is enabled
-   *
-   * @example
-   * const classes = picker.screenClasses
-   * // ['screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--1x']
    */
-  get _screenClasses() {
-    const model = this._state.model
-    const palette = this._state.palette
-
-    if (!model) {
-      throw new Error('No model selected')
-    }
-
-    const classes = []
+  _populatePresets() {
+    const select = this.elements.presetSelect
+    if (!select) return
+
+    select.innerHTML = ''
+
+    const placeholder = document.createElement('option')
+    placeholder.value = ''
+    placeholder.textContent = this._messages.format('presets')
+    select.appendChild(placeholder)
+
+    this._presets.list().forEach(({ label }) => {
+      const option = document.createElement('option')
+      option.value = label
+      option.textContent = label
+      select.appendChild(option)
+    })
 
-    // 0. Base screen class (always present)
-    classes.push('screen')
+    this._updatePresetSelect()
+  }
 
-    // 1. Palette framework class
-    if (palette && palette.framework_class) {
-      classes.push(palette.framework_class)
-    }
+  /**
+   * Select the preset matching the current params, or the placeholder if none does
+   * @private
+   */
+  _updatePresetSelect() {
+    const select = this.elements.presetSelect
+    if (!select) return
 
-    // 2. Model device class (from API)
-    if (model.css && model.css.classes && model.css.classes.device) {
-      classes.push(model.css.classes.device)
-    }
+    const current = this.params
+    const match = this._presets.list().find(preset => _paramsEqual(preset.params, current))
+    select.value = match ? match.label : ''
+  }
 
-    // 3. Model size class (from API)
-    if (model.css && model.css.classes && model.css.classes.size) {
-      classes.push(model.css.classes.size)
+  /**
+   * Apply the preset chosen in the preset select
+   * @private
+   * @param {Event} event - Change event
+   */
+  _handlePresetChange(event) {
+    if (!event.target.value) {
+      this._updatePresetSelect()
+      return
     }
 
-    // 4. Orientation (UI state, only portrait - landscape is default)
-    if (this._state.isPortrait) {
-      classes.push('screen--portrait')
+    try {
+      this.applyPreset(event.target.value)
+    } catch (error) {
+      console.warn('TRMNLPicker: Failed to apply preset:', error)
+      this._updatePresetSelect()
     }
+  }
 
-    // 5. Scale (UI state, always 1x)
-    classes.push('screen--1x')
-
-    // 6. Dark mode (UI state, conditional)
-    if (this._state.isDarkMode) {
-      classes.push('screen--dark-mode')
-    }
+  /**
+   * Get complete picker state including full model and palette objects
+   * @public
+   * @returns {{
+   *   model: Object,
+   *   palette: Object,
+   *   isPortrait: boolean,
+   *   isDarkMode: boolean,
+   *   scale: number,
+   *   screenClasses: Array<string>,
+   *   width: number,
+   *   height: number,
+   *   scaledWidth: number,
+   *   scaledHeight: number
+   * }} State object containing model (full model object from API), palette (full palette object from API), isPortrait flag, isDarkMode flag, scale,
+   *   and logical (width/height) and scaled (scaledWidth/scaledHeight) dimensions
+   *
+   * @example
+   * const state = picker.state
+   * // {
+   * //   model: { name: 'og_plus', label: 'OG+', width: 800, height: 480, ... },
+   * //   palette: { id: '123', name: 'Black', framework_class: 'screen--1bit', ... },
+   * //   isPortrait: false,
+   * //   isDarkMode: false,
+   * //   scale: 1,
+   * //   screenClasses: ['screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--1x'],
+   * //   width: 800,
+   * //   height: 480,
+   * //   scaledWidth: 800,
+   * //   scaledHeight: 480
+   * // }
+   */
+  get state() {
+    return this.core.state
+  }
 
-    return classes
+  /**
+   * Locale of the user-visible strings (see {@link TRMNLPicker#setLocale})
+   * @public
+   * @type {string}
+   */
+  get locale() {
+    return this._messages.locale
   }
 
   /**
-   * Get current picker parameters (serializable state)
+   * Switch the language of every user-visible string and re-render the controls
+   *
+   * Built-in dictionaries exist for 'en', 'de' and 'ja' (region subtags like 'de-AT' use
+   * their language); other locales fall back to English. `messages` overrides single strings
+   * (see {@link TRMNLPicker.MESSAGES} for the keys). The selection is kept and no change event is emitted.
+   *
    * @public
-   * @returns {Object} Current parameters for persistence or API calls
-   * @returns {string} return.modelName - Selected model name
-   * @returns {string} return.paletteId - Selected palette ID
-   * @returns {boolean} return.isPortrait - Portrait orientation flag
-   * @returns {boolean} return.isDarkMode - Dark mode flag
+   * @param {string} locale - BCP 47 locale, e.g. 'de' or 'ja-JP'
+   * @param {Object<string, string>} [messages] - Custom strings by key, replacing any passed before
+   * @throws {Error} If a message is not a string
    *
    * @example
-   * const params = picker.params
-   * // { modelName: 'og_plus', paletteId: '123', isPortrait: false, isDarkMode: false }
-   *
-   * // Can be used to restore state later
-   * localStorage.setItem('picker-state', JSON.stringify(picker.params))
+   * picker.setLocale('de')
+   * picker.setLocale('en', { darkMode: 'Night', lightMode: 'Day' })
    */
-  get params() {
-    return {
-      modelName: this._state.model?.name,
-      paletteId: this._state.palette?.id,
-      isPortrait: this._state.isPortrait,
-      isDarkMode: this._state.isDarkMode
+  setLocale(locale, messages) {
+    this._messages = new Messages(locale, messages)
+
+    if (this.modelCombobox) {
+      this.modelCombobox.setMessages(this._messages)
+    }
+
+    if (this.paletteSwatchControl) {
+      this.paletteSwatchControl.setMessages(this._messages)
     }
+
+    this._populateModels()
+    this._populateScales()
+    this._populatePresets()
+    this._updateTexts()
+    this._updateElements()
   }
 
   /**
-   * Update picker configuration programmatically
+   * Subscribe to state changes without going through DOM events
+   *
+   * With only a listener, it is called with the `trmnl:change` detail after every change.
+   * With a selector (a detail key such as 'width', or a function of the detail), it is
+   * only called when the selected value changes. Arrays count as changed when their items do.
+   *
+   * Listeners are removed by {@link TRMNLPicker#destroy}.
+   *
    * @public
-   * @param {Object} params - Configuration object (all fields optional)
-   * @param {string} [params.modelName] - Model name to select
-   * @param {string} [params.paletteId] - Palette ID to select
-   * @param {boolean} [params.isPortrait] - Portrait orientation
-   * @param {boolean} [params.isDarkMode] - Dark mode enabled
-   * @fires TRMNLPicker#trmnl:change
-   * @throws {Error} If params is not an object
+   * @param {string|Function} selectorOrListener - Detail key or selector function, or the listener
+   * @param {Function} [listener] - Called with `(value, previousValue, detail)` when a selector is given
+   * @returns {Function} Unsubscribe function
    *
    * @example
-   * // Update single parameter
-   * picker.setParams({ isDarkMode: true })
+   * const unsubscribe = picker.subscribe(({ origin, model }) => {
+   *   console.log(origin, model.name)
+   * })
    *
-   * // Update multiple parameters
-   * picker.setParams({
-   *   modelName: 'og_plus',
-   *   paletteId: '123',
-   *   isPortrait: true
+   * @example
+   * // Only re-render when the screen classes change
+   * picker.subscribe('screenClasses', (classes, previousClasses) => {
+   *   preview.className = classes.join(' ')
    * })
    *
-   * // Note: Changing model resets palette to first valid palette of that model
+   * @example
+   * // Derived values
+   * picker.subscribe(({ width, height }) => width * height, pixels => console.log(pixels))
    */
-  setParams(params) {
-    this._setParams('setParams', params)
-  }
+  subscribe(selectorOrListener, listener) {
+    if (listener === undefined) {
+      return this.on('trmnl:change', selectorOrListener)
+    }
 
-  /**
-   * Internal method to update picker state with origin tracking
-   * @private
-   * @param {string} origin - Source of change ('constructor', 'form', 'setParams')
-   * @param {Object} params - Parameters to update
-   * @returns {boolean} True if any changes were made
-   */
-  _setParams(origin, params) {
-    if (!params || typeof params !== 'object') {
-      throw new Error('params must be an object')
+    if (typeof selectorOrListener !== 'string' && typeof selectorOrListener !== 'function') {
+      throw new Error('TRMNLPicker: subscribe selector must be a detail key or a function')
     }
 
-    let changed = false
+    if (typeof listener !== 'function') {
+      throw new Error('TRMNLPicker: subscribe listener must be a function')
+    }
 
-    // Update model if provided
-    if (params.modelName) {
-      const model = this.models.find(m => m.name === params.modelName)
-      if (model) {
-        this.elements.modelSelect.value = model.name
-        this._state.model = model
-        this._populateModelPalettes()
+    const select = typeof selectorOrListener === 'string'
+      ? detail => detail[selectorOrListener]
+      : selectorOrListener
 
-        // Select first valid palette of new model
-        const firstPaletteId = this._getFirstValidPaletteId(model)
-        this.elements.paletteSelect.value = firstPaletteId
-        this._state.palette = this.palettes.find(p => p.id === firstPaletteId)
-        changed = true
-      }
-    }
+    let value = select({ ...this.state, catalogSource: this.catalogSource })
 
-    // Update palette if provided
-    if (params.paletteId) {
-      const palette = this.palettes.find(p => p.id === params.paletteId)
-      if (palette) {
-        this.elements.paletteSelect.value = palette.id
-        this._state.palette = palette
-        changed = true
-      }
-    }
+    return this.on('trmnl:change', detail => {
+      const next = select(detail)
+      if (_selectedEqual(next, value)) return
 
-    // Update orientation if provided
-    if (typeof params.isPortrait === 'boolean') {
-      this._state.isPortrait = params.isPortrait
-      if (this.elements.orientationText) {
-        this.elements.orientationText.textContent = this._state.isPortrait ? 'Portrait' : 'Landscape'
-      }
-      changed = true
-    }
+      const previous = value
+      value = next
+      listener(next, previous, detail)
+    })
+  }
 
-    // Update dark mode if provided
-    if (typeof params.isDarkMode === 'boolean') {
-      this._state.isDarkMode = params.isDarkMode
-      if (this.elements.darkModeText) {
-        this.elements.darkModeText.textContent = this._state.isDarkMode ? 'Dark Mode' : 'Light Mode'
-      }
-      changed = true
+  /**
+   * Listen to a picker event without going through the form element
+   *
+   * The listener is called with the event detail and the event itself (e.g. to call
+   * `preventDefault()` on 'trmnl:beforechange'), after the DOM listeners. It is removed
+   * by {@link TRMNLPicker#destroy}.
+   *
+   * @public
+   * @param {string} type - Event name: 'trmnl:beforechange', 'trmnl:change', 'trmnl:catalog-update',
+   *   'trmnl:comparison-add', 'trmnl:comparison-remove', 'trmnl:comparison-reorder' or 'trmnl:presets-change'
+   * @param {Function} listener - Called with `(detail, event)`
+   * @returns {Function} Function removing the listener
+   * @throws {Error} If the event name is unknown or the listener is not a function
+   *
+   * @example
+   * const off = picker.on('trmnl:catalog-update', ({ models }) => {
+   *   console.log(`${models.added.length} new models`)
+   * })
+   */
+  on(type, listener) {
+    if (!_EVENT_TYPES.includes(type)) {
+      throw new Error(`TRMNLPicker: Unknown event "${type}"`)
     }
 
-    if (changed) {
-      this._updateResetButton()
+    if (typeof listener !== 'function') {
+      throw new Error('TRMNLPicker: Event listener must be a function')
     }
 
-    if (changed && origin) {
-      this._emitChangeEvent(origin)
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set())
     }
 
-    return changed
+    this._listeners.get(type).add(listener)
+    return () => this.off(type, listener)
   }
 
   /**
-   * Get complete picker state including full model and palette objects
+   * Remove a listener added with {@link TRMNLPicker#on}
    * @public
-   * @returns {{
-   *   model: Object,
-   *   palette: Object,
-   *   isPortrait: boolean,
-   *   isDarkMode: boolean,
-   *   screenClasses: Array<string>,
-   *   width: number,
-   *   height: number
-   * }} State object containing model (full model object from API), palette (full palette object from API), isPortrait flag, and isDarkMode flag
-   *
-   * @example
-   * const state = picker.state
-   * // {
-   * //   model: { name: 'og_plus', label: 'OG+', width: 800, height: 480, ... },
-   * //   palette: { id: '123', name: 'Black', framework_class: 'screen--1bit', ... },
-   * //   isPortrait: false,
-   * //   isDarkMode: false,
-   * //   screenClasses: ['screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--1x'],
-   * //   width: 800,
-   * //   height: 480
-   * // }
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener to remove
    */
-  get state() {
-    return {
-      screenClasses: this._screenClasses,
-      ...this._dimensions,
-      ...this._state,
-    };
+  off(type, listener) {
+    const listeners = this._listeners.get(type)
+    if (listeners) {
+      listeners.delete(listener)
+    }
   }
 
   /**
-   * Get current dimensions (width and height) of the screen in pixels
+   * Dispatch a picker event on the form element, then call the listeners added with on()
    * @private
-   * @returns {{ width: number, height: number }} Object with width and height properties
+   * @param {string} type - Event name
+   * @param {Object} detail - Event details
+   * @param {boolean} [cancelable=false] - Whether listeners may cancel the event
+   * @returns {boolean} False if the event was cancelled
    */
-  get _dimensions() {
-    const model = this._state.model
-
-    let width = model.width / model.scale_factor
-    let height = model.height / model.scale_factor
+  _dispatch(type, detail, cancelable = false) {
+    const event = new CustomEvent(type, { detail, bubbles: true, cancelable })
+    this.formElement.dispatchEvent(event)
 
-    if (this._state.isPortrait) {
-      [width, height] = [height, width]
+    const listeners = this._listeners.get(type)
+    if (listeners) {
+      for (const listener of [...listeners]) {
+        // A failing listener must not keep the others from running
+        try {
+          listener(event.detail, event)
+        } catch (error) {
+          console.error(`TRMNLPicker: ${type} listener failed:`, error)
+        }
+      }
     }
 
-    return { width, height }
+    return !event.defaultPrevented
   }
 
   /**
-   * Clean up event listeners and references
+   * Clean up event listeners (including those added with on() and subscribe()) and references
    * @public
    */
   destroy() {
@@ -840,18 +2830,90 @@ class TRMNLPicker {
       this.elements.darkModeToggle.removeEventListener('click', this.handlers.darkModeToggle)
     }
 
+    if (this.elements.scaleSelect) {
+      this.elements.scaleSelect.removeEventListener('change', this.handlers.scaleChange)
+    }
+
     if (this.elements.resetButton) {
       this.elements.resetButton.removeEventListener('click', this.handlers.reset)
     }
 
+    if (this.elements.compareButton) {
+      this.elements.compareButton.removeEventListener('click', this.handlers.compare)
+    }
+
+    if (this.elements.undoButton) {
+      this.elements.undoButton.removeEventListener('click', this.handlers.undo)
+    }
+
+    if (this.elements.redoButton) {
+      this.elements.redoButton.removeEventListener('click', this.handlers.redo)
+    }
+
+    if (this.elements.presetSelect) {
+      this.elements.presetSelect.removeEventListener('change', this.handlers.presetChange)
+    }
+
+    if (this._shortcutKeys.size > 0) {
+      this.formElement.removeEventListener('keydown', this.handlers.shortcut)
+    }
+
+    // State set on the form's own controls
+    const { orientationToggle, darkModeToggle, resetButton } = this.elements
+    ;[orientationToggle, darkModeToggle, resetButton].forEach(element => {
+      if (element) {
+        element.removeAttribute('aria-pressed')
+        element.removeAttribute('aria-keyshortcuts')
+      }
+    })
+
+    if (resetButton) {
+      resetButton.disabled = false
+      resetButton.classList.remove('opacity-50', 'cursor-default')
+    }
+
+    if (this.urlMode) {
+      window.removeEventListener('popstate', this.handlers.urlChange)
+    }
+
+    this._stopSync()
+    this._unsubscribeCore()
+    this._listeners.clear()
+
+    if (this.modelCombobox) {
+      this.modelCombobox.destroy()
+      this.modelCombobox = null
+    }
+
+    if (this.paletteSwatchControl) {
+      this.paletteSwatchControl.destroy()
+      this.paletteSwatchControl = null
+    }
+
+    this._removeScreenClasses()
+
+    // Remove controls built in render mode
+    this._createdElements.forEach(element => element.remove())
+
     // Clear references
     this.formElement = null
     this.elements = null
     this.handlers = null
     this.models = null
     this.palettes = null
-    this._state = null
+    this.core = null
+    this._createdElements = null
+    this._comparisons = []
   }
 }
 
+export {
+  TRMNLPickerCore,
+  validateCatalog,
+  TRMNLPickerError,
+  TRMNLPickerNetworkError,
+  TRMNLPickerHttpError,
+  TRMNLPickerPayloadError,
+  TRMNLPickerNoModelsError
+}
 export default TRMNLPicker
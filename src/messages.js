@@ -0,0 +1,149 @@
+/**
+ * Built-in dictionaries by language. `{name}` placeholders are filled in by
+ * {@link Messages#format}; numbers are formatted for the locale.
+ * @private
+ * @constant {Object<string, Object<string, string>>}
+ */
+const _DICTIONARIES = {
+  en: {
+    loading: 'Loading models and palettes…',
+    timeout: 'The server took too long to respond.',
+    network: 'Could not reach the server.',
+    http: 'The server responded with an error ({status}).',
+    payload: 'The server returned invalid data.',
+    noModels: 'No usable models were found.',
+    model: 'Model',
+    palette: 'Palette',
+    groupTrmnl: 'TRMNL',
+    groupByod: 'BYOD',
+    portrait: 'Portrait',
+    landscape: 'Landscape',
+    darkMode: 'Dark Mode',
+    lightMode: 'Light Mode',
+    reset: 'Reset',
+    scale: '{scale}x',
+    resolution: '{width} × {height}',
+    searchModels: 'Search models…',
+    noMatchingModels: 'No matching models',
+    presets: 'Presets',
+    announcement: '{model}, {palette}, {orientation}',
+    announcementDarkMode: '{model}, {palette}, {orientation}, dark mode',
+    announcePortrait: 'portrait',
+    announceLandscape: 'landscape'
+  },
+  de: {
+    loading: 'Modelle und Paletten werden geladen…',
+    timeout: 'Der Server hat nicht rechtzeitig geantwortet.',
+    network: 'Der Server ist nicht erreichbar.',
+    http: 'Der Server hat einen Fehler gemeldet ({status}).',
+    payload: 'Der Server hat ungültige Daten geliefert.',
+    noModels: 'Es wurden keine verwendbaren Modelle gefunden.',
+    model: 'Modell',
+    palette: 'Palette',
+    groupTrmnl: 'TRMNL',
+    groupByod: 'BYOD',
+    portrait: 'Hochformat',
+    landscape: 'Querformat',
+    darkMode: 'Dunkelmodus',
+    lightMode: 'Hellmodus',
+    reset: 'Zurücksetzen',
+    scale: '{scale}x',
+    resolution: '{width} × {height}',
+    searchModels: 'Modelle suchen…',
+    noMatchingModels: 'Keine passenden Modelle',
+    presets: 'Vorlagen',
+    announcement: '{model}, {palette}, {orientation}',
+    announcementDarkMode: '{model}, {palette}, {orientation}, Dunkelmodus',
+    announcePortrait: 'Hochformat',
+    announceLandscape: 'Querformat'
+  },
+  ja: {
+    loading: 'モデルとパレットを読み込んでいます…',
+    timeout: 'サーバーの応答がタイムアウトしました。',
+    network: 'サーバーに接続できませんでした。',
+    http: 'サーバーがエラーを返しました（{status}）。',
+    payload: 'サーバーから無効なデータが返されました。',
+    noModels: '使用できるモデルが見つかりませんでした。',
+    model: 'モデル',
+    palette: 'パレット',
+    groupTrmnl: 'TRMNL',
+    groupByod: 'BYOD',
+    portrait: '縦向き',
+    landscape: '横向き',
+    darkMode: 'ダークモード',
+    lightMode: 'ライトモード',
+    reset: 'リセット',
+    scale: '{scale}x',
+    resolution: '{width} × {height}',
+    searchModels: 'モデルを検索…',
+    noMatchingModels: '一致するモデルがありません',
+    presets: 'プリセット',
+    announcement: '{model}、{palette}、{orientation}',
+    announcementDarkMode: '{model}、{palette}、{orientation}、ダークモード',
+    announcePortrait: '縦向き',
+    announceLandscape: '横向き'
+  }
+}
+
+/**
+ * Default locale, also used for missing keys and unknown languages
+ * @private
+ * @constant {string}
+ */
+const _DEFAULT_LOCALE = 'en'
+
+/**
+ * User-visible strings for one locale
+ *
+ * Strings come from the built-in dictionary of the locale's language (falling back to
+ * English for unknown languages and missing keys), overridden by custom messages.
+ *
+ * @private
+ * @class Messages
+ * @param {string} [locale='en'] - BCP 47 locale, e.g. 'de' or 'ja-JP'
+ * @param {Object<string, string>} [overrides] - Custom strings by key
+ * @throws {Error} If an override is not a string
+ */
+class Messages {
+  static DICTIONARIES = _DICTIONARIES
+
+  constructor(locale = _DEFAULT_LOCALE, overrides = {}) {
+    for (const [key, value] of Object.entries(overrides)) {
+      if (typeof value !== 'string') {
+        throw new Error(`TRMNLPicker: message "${key}" must be a string`)
+      }
+    }
+
+    const language = String(locale).toLowerCase().split('-')[0]
+
+    this.locale = locale
+    this.strings = { ..._DICTIONARIES[_DEFAULT_LOCALE], ..._DICTIONARIES[language], ...overrides }
+
+    // Invalid locale tags still get their strings, just with default number formatting
+    try {
+      this._numberFormat = new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 2 })
+    } catch (error) {
+      this._numberFormat = new Intl.NumberFormat(_DEFAULT_LOCALE, { useGrouping: false, maximumFractionDigits: 2 })
+    }
+  }
+
+  /**
+   * Get a string, filling in its `{name}` placeholders
+   * @public
+   * @param {string} key - Message key
+   * @param {Object<string, string|number>} [values] - Placeholder values; numbers are formatted for the locale
+   * @returns {string} Formatted string (the key itself if there is no such message)
+   */
+  format(key, values = {}) {
+    const template = Object.hasOwn(this.strings, key) ? this.strings[key] : key
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in values)) return placeholder
+
+      const value = values[name]
+      return typeof value === 'number' ? this._numberFormat.format(value) : String(value)
+    })
+  }
+}
+
+export default Messages
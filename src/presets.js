@@ -0,0 +1,167 @@
+import { TRMNLPickerError } from './errors.js'
+
+/**
+ * Params kept in a preset
+ * @private
+ * @constant {Array<string>}
+ */
+const _PRESET_PARAM_KEYS = ['modelName', 'paletteId', 'isPortrait', 'isDarkMode', 'scale']
+
+/**
+ * Check whether a value is a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-null, non-array object
+ */
+function _isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Turn a stored or imported preset into `{ label, params }`, keeping only known params
+ * @private
+ * @param {*} preset - Preset to check
+ * @returns {{label: string, params: Object}|null} Preset, or null if it has no label or no known params
+ */
+function _normalizePreset(preset) {
+  if (!_isObject(preset) || typeof preset.label !== 'string' || preset.label.trim() === '' ||
+    !_isObject(preset.params)) {
+    return null
+  }
+
+  const params = {}
+  _PRESET_PARAM_KEYS.forEach(key => {
+    if (preset.params[key] !== undefined) params[key] = preset.params[key]
+  })
+
+  if (Object.keys(params).length === 0) return null
+
+  return { label: preset.label.trim(), params }
+}
+
+/**
+ * Ordered list of named params snapshots, unique by label
+ *
+ * Holds no picker state: params are stored as given, so callers resolve them first.
+ *
+ * @private
+ * @class PresetList
+ * @param {Array<*>} [entries=[]] - Initial presets, e.g. from options and storage; entries without a
+ *   label or known params are skipped, and later entries replace earlier ones with the same label
+ */
+class PresetList {
+  constructor(entries = []) {
+    this._presets = []
+    this._merge(entries.map(_normalizePreset).filter(Boolean))
+  }
+
+  /**
+   * Get a preset by label
+   * @public
+   * @param {string} label - Preset name
+   * @returns {{label: string, params: Object}|null} Copy of the preset, or null if there is none
+   */
+  get(label) {
+    const preset = this._presets.find(other => other.label === label)
+    return preset ? { label: preset.label, params: { ...preset.params } } : null
+  }
+
+  /**
+   * Add a preset, replacing the one with the same label in place
+   * @public
+   * @param {string} label - Preset name; surrounding whitespace is trimmed
+   * @param {Object} params - Params to keep (unknown keys are dropped)
+   * @returns {{label: string, params: Object}} Copy of the saved preset
+   * @throws {Error} If label is not a non-empty string
+   * @throws {TRMNLPickerError} If params has no known param
+   */
+  set(label, params) {
+    if (typeof label !== 'string' || label.trim() === '') {
+      throw new Error('TRMNLPicker: Preset label must be a non-empty string')
+    }
+
+    const preset = _normalizePreset({ label, params })
+    if (!preset) {
+      throw new TRMNLPickerError('TRMNLPicker: Preset params must have at least one known param')
+    }
+
+    this._merge([preset])
+
+    return this.get(preset.label)
+  }
+
+  /**
+   * Delete a preset
+   * @public
+   * @param {string} label - Preset name
+   * @returns {boolean} True if the preset existed
+   */
+  delete(label) {
+    const index = this._presets.findIndex(preset => preset.label === label)
+    if (index === -1) return false
+
+    this._presets = this._presets.filter((_, i) => i !== index)
+    return true
+  }
+
+  /**
+   * Add presets from JSON or an array, replacing presets with the same label
+   * @public
+   * @param {string|Array<Object>} presets - JSON string or array of `{ label, params }` objects
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.replace=false] - Remove all existing presets first
+   * @throws {TRMNLPickerError} If the JSON is invalid or an entry lacks a label or known params
+   *   (nothing is imported then)
+   */
+  import(presets, { replace = false } = {}) {
+    let entries = presets
+
+    if (typeof presets === 'string') {
+      try {
+        entries = JSON.parse(presets)
+      } catch (error) {
+        throw new TRMNLPickerError('TRMNLPicker: Presets are not valid JSON', { cause: error })
+      }
+    }
+
+    if (!Array.isArray(entries)) {
+      throw new TRMNLPickerError('TRMNLPicker: Presets must be an array of { label, params } objects')
+    }
+
+    const imported = entries.map(_normalizePreset)
+    const invalidIndex = imported.indexOf(null)
+    if (invalidIndex !== -1) {
+      throw new TRMNLPickerError(`TRMNLPicker: presets[${invalidIndex}] must have a label and params with at least one known param`)
+    }
+
+    if (replace) this._presets = []
+    this._merge(imported)
+  }
+
+  /**
+   * Get all presets, in the order they were first saved
+   * @public
+   * @returns {Array<{label: string, params: Object}>} Copies of the presets
+   */
+  list() {
+    return this._presets.map(({ label, params }) => ({ label, params: { ...params } }))
+  }
+
+  /**
+   * Add presets, replacing those with the same label in place
+   * @private
+   * @param {Array<Object>} additions - Normalized presets
+   */
+  _merge(additions) {
+    additions.forEach(preset => {
+      const index = this._presets.findIndex(other => other.label === preset.label)
+      if (index === -1) {
+        this._presets.push(preset)
+      } else {
+        this._presets[index] = preset
+      }
+    })
+  }
+}
+
+export default PresetList
@@ -0,0 +1,89 @@
+/**
+ * Lifetime of the state cookie in seconds (one year)
+ * @private
+ * @constant {number}
+ */
+const _COOKIE_MAX_AGE = 60 * 60 * 24 * 365
+
+/**
+ * Create an adapter for a Web Storage area
+ *
+ * The storage object is looked up on every call, since merely accessing it throws in
+ * sandboxed iframes and some private browsing modes.
+ *
+ * @private
+ * @param {string} type - 'localStorage' or 'sessionStorage'
+ * @returns {Object} Storage adapter
+ */
+function _createWebStorage(type) {
+  return {
+    type,
+
+    load(key) {
+      const saved = window[type].getItem(key)
+      return saved ? JSON.parse(saved) : null
+    },
+
+    save(key, params) {
+      window[type].setItem(key, JSON.stringify(params))
+    }
+  }
+}
+
+/**
+ * Adapter keeping the params in a first-party cookie for the whole site
+ * @private
+ * @constant {Object}
+ */
+const _cookieStorage = {
+  type: 'cookie',
+
+  load(key) {
+    const prefix = `${encodeURIComponent(key)}=`
+    const cookie = document.cookie.split('; ').find(entry => entry.startsWith(prefix))
+    return cookie ? JSON.parse(decodeURIComponent(cookie.slice(prefix.length))) : null
+  },
+
+  save(key, params) {
+    const value = encodeURIComponent(JSON.stringify(params))
+    document.cookie = `${encodeURIComponent(key)}=${value}; path=/; max-age=${_COOKIE_MAX_AGE}; SameSite=Lax`
+  }
+}
+
+/**
+ * Built-in storage adapters by name
+ * @private
+ * @constant {Object<string, Object>}
+ */
+const _BUILT_IN_STORAGES = {
+  localStorage: _createWebStorage('localStorage'),
+  sessionStorage: _createWebStorage('sessionStorage'),
+  cookie: _cookieStorage
+}
+
+/**
+ * Resolve the `storage` option to an adapter
+ *
+ * An adapter has `load(key)`, returning the saved params (or null), and `save(key, params)`.
+ * Either may return a promise.
+ *
+ * @private
+ * @param {string|Object} [storage='localStorage'] - 'localStorage', 'sessionStorage', 'cookie',
+ *   or a custom adapter
+ * @returns {Object} Storage adapter
+ * @throws {Error} If storage is neither a built-in name nor an object with load and save methods
+ */
+function resolveStorage(storage = 'localStorage') {
+  const adapter = typeof storage === 'string' ? _BUILT_IN_STORAGES[storage] : storage
+
+  if (!adapter || typeof adapter.load !== 'function' || typeof adapter.save !== 'function') {
+    throw new Error(
+      'TRMNLPicker: storage must be \'localStorage\', \'sessionStorage\', \'cookie\', ' +
+      'or an object with load and save methods'
+    )
+  }
+
+  return adapter
+}
+
+export default resolveStorage
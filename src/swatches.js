@@ -0,0 +1,170 @@
+/**
+ * Class name prefix for the elements built by the swatch control
+ * @private
+ * @constant {string}
+ */
+const _CLASS_NAME = 'trmnl-picker-swatches'
+
+/**
+ * Most color chips shown per palette; larger palettes are sampled evenly
+ * @private
+ * @constant {number}
+ */
+const _MAX_SWATCH_COLORS = 16
+
+/**
+ * Counter used to give each swatch control a unique radio group name
+ * @private
+ * @type {number}
+ */
+let _instanceCount = 0
+
+/**
+ * Reduce a color list to at most `max` evenly spaced entries, keeping the first and last
+ * @private
+ * @param {Array<string>} colors - CSS colors
+ * @param {number} max - Maximum number of colors
+ * @returns {Array<string>} Sampled colors
+ */
+function _sampleColors(colors, max) {
+  if (colors.length <= max) return colors
+
+  return Array.from({ length: max }, (_, index) => {
+    return colors[Math.round(index * (colors.length - 1) / (max - 1))]
+  })
+}
+
+/**
+ * Palette picker showing a strip of each palette's colors next to its name
+ *
+ * Renders a radio group after the palette `[data-palette-select]`, which is hidden
+ * but kept in sync. When none of the current model's palettes has color data
+ * (see {@link TRMNLPickerCore#getPaletteColors}), the plain select is shown instead.
+ *
+ * @private
+ * @class PaletteSwatches
+ * @param {Object} options - Swatch control options
+ * @param {HTMLSelectElement} options.select - Palette select to enhance
+ * @param {TRMNLPickerCore} options.core - Core providing the palettes and current selection
+ * @param {Messages} options.messages - Strings for the picker's locale
+ * @param {Function} options.onSelect - Called with the chosen palette ID
+ */
+class PaletteSwatches {
+  constructor({ select, core, messages, onSelect }) {
+    this.select = select
+    this.core = core
+    this.onSelect = onSelect
+    this.name = `${_CLASS_NAME}-${++_instanceCount}`
+
+    this.element = document.createElement('div')
+    this.element.className = _CLASS_NAME
+    this.element.setAttribute('role', 'radiogroup')
+    this.element.setAttribute('data-palette-swatches', '')
+    this.element.hidden = true
+    this.setMessages(messages)
+
+    this._selectWasHidden = select.hidden
+    select.after(this.element)
+
+    this.handlers = {
+      change: this._handleChange.bind(this)
+    }
+
+    this.element.addEventListener('change', this.handlers.change)
+  }
+
+  /**
+   * Apply the strings of a (new) locale
+   * @public
+   * @param {Messages} messages - Strings for the picker's locale
+   */
+  setMessages(messages) {
+    this.element.setAttribute('aria-label', this.select.getAttribute('aria-label') || messages.format('palette'))
+  }
+
+  /**
+   * Build one radio per palette of the current model, or fall back to the select
+   * when none of them has color data
+   * @public
+   */
+  render() {
+    const palettes = this.core.getModelPalettes(this.core.state.model)
+    const hasColors = palettes.some(palette => this.core.getPaletteColors(palette))
+
+    this.element.innerHTML = ''
+    this.element.hidden = !hasColors
+    this.select.hidden = hasColors || this._selectWasHidden
+
+    if (!hasColors) return
+
+    palettes.forEach(palette => {
+      const item = document.createElement('label')
+      item.className = `${_CLASS_NAME}__item`
+
+      const radio = document.createElement('input')
+      radio.type = 'radio'
+      radio.name = this.name
+      radio.value = palette.id
+
+      const strip = document.createElement('span')
+      strip.className = `${_CLASS_NAME}__strip`
+      strip.setAttribute('aria-hidden', 'true')
+
+      const colors = this.core.getPaletteColors(palette) || []
+      _sampleColors(colors, _MAX_SWATCH_COLORS).forEach(color => {
+        const chip = document.createElement('span')
+        chip.className = `${_CLASS_NAME}__color`
+        chip.style.backgroundColor = color
+        strip.appendChild(chip)
+      })
+
+      const name = document.createElement('span')
+      name.className = `${_CLASS_NAME}__name`
+      name.textContent = palette.name
+
+      item.append(radio, strip, name)
+      this.element.appendChild(item)
+    })
+
+    this.update()
+  }
+
+  /**
+   * Check the radio of the current palette
+   * @public
+   */
+  update() {
+    const paletteId = this.core.params.paletteId
+
+    this.element.querySelectorAll('input[type="radio"]').forEach(radio => {
+      radio.checked = radio.value === String(paletteId)
+    })
+  }
+
+  /**
+   * Report the chosen palette
+   * @private
+   * @param {Event} event - Change event from a radio
+   */
+  _handleChange(event) {
+    if (event.target.name === this.name && event.target.checked) {
+      this.onSelect(event.target.value)
+    }
+  }
+
+  /**
+   * Remove the swatch control and show the original select again
+   * @public
+   */
+  destroy() {
+    this.element.removeEventListener('change', this.handlers.change)
+    this.element.remove()
+    this.select.hidden = this._selectWasHidden
+
+    this.select = null
+    this.core = null
+    this.handlers = null
+  }
+}
+
+export default PaletteSwatches
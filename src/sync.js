@@ -0,0 +1,151 @@
+/**
+ * Random ID of this page, used to ignore our own BroadcastChannel messages
+ * (members on the same page are synced directly)
+ * @private
+ * @constant {string}
+ */
+const _SYNC_PAGE_ID = Math.random().toString(36).slice(2)
+
+/**
+ * localStorage key prefix for sync messages to other tabs where BroadcastChannel is unavailable,
+ * suffixed with the channel name
+ * @private
+ * @constant {string}
+ */
+const _SYNC_STORAGE_KEY = 'trmnl-picker-sync'
+
+/**
+ * Members on this page by sync channel name
+ * @private
+ * @type {Map<string, Set<ParamsSync>>}
+ */
+const _syncGroups = new Map()
+
+/**
+ * Membership of a sync channel, sharing params with the other members on this page and in other tabs
+ *
+ * Members on the same page get params directly; other tabs get them through a BroadcastChannel,
+ * or through localStorage events where BroadcastChannel is unavailable.
+ *
+ * @private
+ * @class ParamsSync
+ * @param {Object} options - Sync options
+ * @param {string} options.channel - Channel name; only members of the same channel are synced
+ * @param {Function} options.getParams - Returns the member's current params
+ * @param {Function} options.onParams - Called with params shared by another member
+ */
+class ParamsSync {
+  constructor({ channel, getParams, onParams }) {
+    this.channel = channel
+    this.getParams = getParams
+    this.onParams = onParams
+    this._broadcastChannel = null
+    this._storageKey = null
+
+    this.handlers = {
+      message: this._handleMessage.bind(this),
+      storage: this._handleStorage.bind(this)
+    }
+
+    if (!_syncGroups.has(channel)) {
+      _syncGroups.set(channel, new Set())
+    }
+    _syncGroups.get(channel).add(this)
+
+    // Other tabs
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._broadcastChannel = new BroadcastChannel(`trmnl-picker:${channel}`)
+      this._broadcastChannel.addEventListener('message', this.handlers.message)
+    } else {
+      this._storageKey = `${_SYNC_STORAGE_KEY}:${channel}`
+      window.addEventListener('storage', this.handlers.storage)
+    }
+  }
+
+  /**
+   * Get the params of another member on this page, to start from the shared state
+   * @public
+   * @returns {Object|null} Params or null if no other member is on this page
+   */
+  getPeerParams() {
+    for (const member of _syncGroups.get(this.channel)) {
+      if (member !== this) return member.getParams()
+    }
+
+    return null
+  }
+
+  /**
+   * Share params with the other members on this page and in other tabs
+   * @public
+   * @param {Object} params - Params to share
+   */
+  broadcast(params) {
+    for (const member of _syncGroups.get(this.channel)) {
+      if (member !== this) member.onParams(params)
+    }
+
+    if (this._broadcastChannel) {
+      this._broadcastChannel.postMessage({ pageId: _SYNC_PAGE_ID, params })
+    } else {
+      // The time makes every message a change, so other tabs get a storage event even for repeated params
+      try {
+        localStorage.setItem(this._storageKey, JSON.stringify({ pageId: _SYNC_PAGE_ID, params, time: Date.now() }))
+      } catch (error) {
+        console.warn('TRMNLPicker: Failed to share state through localStorage:', error)
+      }
+    }
+  }
+
+  /**
+   * Handle params posted by a member in another tab
+   * @private
+   * @param {MessageEvent} event - BroadcastChannel message
+   */
+  _handleMessage(event) {
+    const { pageId, params } = event.data || {}
+    if (pageId === _SYNC_PAGE_ID || !params) return
+
+    this.onParams(params)
+  }
+
+  /**
+   * Handle params shared through localStorage by a member in another tab (BroadcastChannel fallback)
+   * @private
+   * @param {StorageEvent} event - Storage event
+   */
+  _handleStorage(event) {
+    if (event.key !== this._storageKey || !event.newValue) return
+
+    try {
+      const { pageId, params } = JSON.parse(event.newValue)
+      if (pageId === _SYNC_PAGE_ID || !params) return
+
+      this.onParams(params)
+    } catch (error) {
+      console.warn('TRMNLPicker: Failed to read synced state from localStorage:', error)
+    }
+  }
+
+  /**
+   * Leave the channel
+   * @public
+   */
+  destroy() {
+    const group = _syncGroups.get(this.channel)
+    group.delete(this)
+    if (group.size === 0) {
+      _syncGroups.delete(this.channel)
+    }
+
+    if (this._broadcastChannel) {
+      this._broadcastChannel.removeEventListener('message', this.handlers.message)
+      this._broadcastChannel.close()
+      this._broadcastChannel = null
+    } else {
+      window.removeEventListener('storage', this.handlers.storage)
+    }
+  }
+}
+
+export default ParamsSync
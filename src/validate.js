@@ -0,0 +1,218 @@
+/**
+ * A single CSS class name (an identifier without whitespace or dots)
+ * @private
+ * @constant {RegExp}
+ */
+const _CSS_CLASS_PATTERN = /^-?[_a-zA-Z\u00A0-\uFFFF][_a-zA-Z0-9\u00A0-\uFFFF-]*$/
+
+/**
+ * Check whether a value is a positive, finite number
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function _isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+/**
+ * Check whether a value is a non-empty string or a number, as used for names and IDs
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function _isIdentifier(value) {
+  return (typeof value === 'string' && value.trim() !== '') || (typeof value === 'number' && Number.isFinite(value))
+}
+
+/**
+ * Check whether a value is a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function _isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Validate one palette
+ * @private
+ * @param {*} palette - Palette to check
+ * @param {string} path - Path of the palette, e.g. 'palettes[2]'
+ * @returns {Array<{path: string, message: string}>} Problems found
+ */
+function _validatePalette(palette, path) {
+  if (!_isObject(palette)) {
+    return [{ path, message: `${path} must be an object` }]
+  }
+
+  const errors = []
+  const report = (key, problem) => errors.push({ path: `${path}.${key}`, message: `${path}.${key} ${problem}` })
+
+  if (palette.id === undefined || palette.id === null) {
+    report('id', 'missing')
+  } else if (!_isIdentifier(palette.id)) {
+    report('id', 'must be a non-empty string or a number')
+  }
+
+  if (palette.name !== undefined && typeof palette.name !== 'string') {
+    report('name', 'must be a string')
+  }
+
+  // An empty framework_class marks an unusable palette and is filtered out later
+  const frameworkClass = palette.framework_class
+  if (frameworkClass === undefined || frameworkClass === null) {
+    report('framework_class', 'missing')
+  } else if (typeof frameworkClass !== 'string') {
+    report('framework_class', 'must be a string')
+  } else if (frameworkClass.trim() !== '' && !_CSS_CLASS_PATTERN.test(frameworkClass)) {
+    report('framework_class', `"${frameworkClass}" is not a valid CSS class`)
+  }
+
+  if (palette.grays !== undefined && palette.grays !== null && !(Number.isInteger(palette.grays) && palette.grays > 0)) {
+    report('grays', 'must be a positive integer')
+  }
+
+  if (palette.colors !== undefined && palette.colors !== null &&
+    !(Array.isArray(palette.colors) && palette.colors.every(color => typeof color === 'string'))) {
+    report('colors', 'must be an array of color strings')
+  }
+
+  return errors
+}
+
+/**
+ * Validate one model
+ * @private
+ * @param {*} model - Model to check
+ * @param {string} path - Path of the model, e.g. 'models[3]'
+ * @returns {Array<{path: string, message: string}>} Problems found
+ */
+function _validateModel(model, path) {
+  if (!_isObject(model)) {
+    return [{ path, message: `${path} must be an object` }]
+  }
+
+  const errors = []
+  const report = (key, problem) => errors.push({ path: `${path}.${key}`, message: `${path}.${key} ${problem}` })
+
+  if (model.name === undefined || model.name === null) {
+    report('name', 'missing')
+  } else if (typeof model.name !== 'string' || model.name.trim() === '') {
+    report('name', 'must be a non-empty string')
+  }
+
+  if (model.label !== undefined && model.label !== null && typeof model.label !== 'string') {
+    report('label', 'must be a string')
+  }
+
+  for (const key of ['width', 'height', 'scale_factor']) {
+    if (model[key] === undefined || model[key] === null) {
+      report(key, 'missing')
+    } else if (!_isPositiveNumber(model[key])) {
+      report(key, 'must be a positive number')
+    }
+  }
+
+  if (model.palette_ids === undefined || model.palette_ids === null) {
+    report('palette_ids', 'missing')
+  } else if (!Array.isArray(model.palette_ids) || !model.palette_ids.every(_isIdentifier)) {
+    report('palette_ids', 'must be an array of palette IDs')
+  }
+
+  if (!_isObject(model.css)) {
+    report('css', 'missing')
+  } else if (!_isObject(model.css.classes)) {
+    report('css.classes', 'missing')
+  } else {
+    for (const key of ['device', 'size']) {
+      const className = model.css.classes[key]
+      if (className === undefined || className === null || className === '') continue
+
+      if (typeof className !== 'string' || !_CSS_CLASS_PATTERN.test(className)) {
+        report(`css.classes.${key}`, `"${className}" is not a valid CSS class`)
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Validate a models and palettes catalog, reporting every problem with its path
+ *
+ * Checks the fields the picker relies on: model `name`, `width`, `height`, `scale_factor`,
+ * `palette_ids` and `css.classes`, palette `id` and `framework_class`, and that class names
+ * are single valid CSS class tokens. Entries repeating an earlier model name or palette ID
+ * are reported too. `models` and `palettes` in the result hold only the valid entries.
+ *
+ * Available as `TRMNLPicker.validateCatalog` and `TRMNLPickerCore.validateCatalog`.
+ *
+ * @param {Object} catalog - Catalog to check
+ * @param {Array<Object>} catalog.models - Array of model objects
+ * @param {Array<Object>} catalog.palettes - Array of palette objects
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, models: Array<Object>, palettes: Array<Object>}}
+ *   Validation result
+ *
+ * @example
+ * const { valid, errors } = TRMNLPicker.validateCatalog({ models, palettes })
+ * if (!valid) {
+ *   console.log(errors.map(error => error.message))
+ *   // ['models[3].scale_factor missing', 'palettes[1].framework_class "screen 1bit" is not a valid CSS class']
+ * }
+ */
+function validateCatalog({ models, palettes } = {}) {
+  const errors = []
+  const validModels = []
+  const validPalettes = []
+
+  if (!Array.isArray(palettes)) {
+    errors.push({ path: 'palettes', message: 'palettes must be an array' })
+  } else {
+    const ids = new Set()
+    palettes.forEach((palette, index) => {
+      const path = `palettes[${index}]`
+      const paletteErrors = _validatePalette(palette, path)
+
+      if (paletteErrors.length === 0 && ids.has(palette.id)) {
+        paletteErrors.push({ path: `${path}.id`, message: `${path}.id "${palette.id}" is a duplicate` })
+      }
+
+      errors.push(...paletteErrors)
+      if (paletteErrors.length === 0) {
+        ids.add(palette.id)
+        validPalettes.push(palette)
+      }
+    })
+  }
+
+  if (!Array.isArray(models)) {
+    errors.push({ path: 'models', message: 'models must be an array' })
+  } else {
+    const names = new Set()
+    models.forEach((model, index) => {
+      const path = `models[${index}]`
+      const modelErrors = _validateModel(model, path)
+
+      if (modelErrors.length === 0 && names.has(model.name)) {
+        modelErrors.push({ path: `${path}.name`, message: `${path}.name "${model.name}" is a duplicate` })
+      }
+
+      errors.push(...modelErrors)
+      if (modelErrors.length === 0) {
+        names.add(model.name)
+        validModels.push(model)
+      }
+    })
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    models: validModels,
+    palettes: validPalettes
+  }
+}
+
+export default validateCatalog
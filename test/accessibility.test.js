@@ -0,0 +1,159 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}, html = '') {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+      <button type="button" data-orientation-toggle>Orientation</button>
+      <button type="button" data-dark-mode-toggle>Dark</button>
+      <button type="button" data-reset-button>Reset</button>
+      <input type="text" name="title">
+      ${html}
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function element(selector) {
+  return document.querySelector(selector)
+}
+
+function press(key, target = element('[data-reset-button]'), init = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+  target.dispatchEvent(event)
+  return event
+}
+
+describe('TRMNLPicker accessibility', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('reflects the toggles in aria-pressed', () => {
+    createPicker()
+
+    expect(element('[data-orientation-toggle]').getAttribute('aria-pressed')).toBe('false')
+    expect(element('[data-dark-mode-toggle]').getAttribute('aria-pressed')).toBe('false')
+
+    element('[data-orientation-toggle]').click()
+    element('[data-dark-mode-toggle]').click()
+
+    expect(element('[data-orientation-toggle]').getAttribute('aria-pressed')).toBe('true')
+    expect(element('[data-dark-mode-toggle]').getAttribute('aria-pressed')).toBe('true')
+  })
+
+  it('disables the reset button while the model defaults are selected', () => {
+    createPicker()
+    const reset = element('[data-reset-button]')
+
+    expect(reset.disabled).toBe(true)
+    expect(reset.classList.contains('opacity-50')).toBe(true)
+
+    picker.setParams({ isDarkMode: true })
+    expect(reset.disabled).toBe(false)
+    expect(reset.classList.contains('opacity-50')).toBe(false)
+
+    reset.click()
+    expect(picker.params.isDarkMode).toBe(false)
+    expect(reset.disabled).toBe(true)
+  })
+
+  it('restores the controls it changed on destroy', () => {
+    createPicker({ shortcuts: true })
+
+    picker.destroy()
+
+    expect(element('[data-orientation-toggle]').hasAttribute('aria-pressed')).toBe(false)
+    expect(element('[data-orientation-toggle]').hasAttribute('aria-keyshortcuts')).toBe(false)
+    expect(element('[data-reset-button]').disabled).toBe(false)
+    expect(element('[data-reset-button]').className).toBe('')
+  })
+
+  it('announces changes in a generated polite live region with announce', () => {
+    createPicker({ announce: true })
+    const announcer = element('[data-picker-announcer]')
+
+    expect(announcer.getAttribute('role')).toBe('status')
+    expect(announcer.getAttribute('aria-live')).toBe('polite')
+
+    picker.setParams({ isPortrait: true, isDarkMode: true })
+    expect(announcer.textContent).toBe('OG+, 4 Grays, portrait, dark mode')
+
+    picker.destroy()
+    expect(element('[data-picker-announcer]')).toBe(null)
+  })
+
+  it('announces in a live region from the markup without the option', () => {
+    createPicker({ locale: 'de' }, '<div data-picker-announcer role="log"></div>')
+
+    picker.setParams({ modelName: 'og_png' })
+
+    expect(element('[data-picker-announcer]').getAttribute('role')).toBe('log')
+    expect(element('[data-picker-announcer]').textContent).toBe('OG (PNG), Black & White, Querformat')
+  })
+
+  it('runs the default shortcuts inside the form and advertises them', () => {
+    createPicker({ shortcuts: true })
+
+    expect(element('[data-orientation-toggle]').getAttribute('aria-keyshortcuts')).toBe('o')
+    expect(element('[data-dark-mode-toggle]').getAttribute('aria-keyshortcuts')).toBe('d')
+
+    expect(press('O').defaultPrevented).toBe(true)
+    press('d')
+    expect(picker.params).toMatchObject({ isPortrait: true, isDarkMode: true })
+
+    press(']')
+    expect(picker.params.modelName).toBe('kindle_2024')
+    press(']')
+    expect(picker.params.modelName).toBe('og_png')
+    press('[')
+    expect(picker.params.modelName).toBe('kindle_2024')
+  })
+
+  it('ignores shortcuts while typing, with modifier keys, outside the form or without the option', () => {
+    createPicker({ shortcuts: true })
+
+    press('d', element('input[name="title"]'))
+    press('d', element('[data-model-select]'))
+    press('d', element('[data-reset-button]'), { ctrlKey: true })
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'd', bubbles: true }))
+    expect(picker.params.isDarkMode).toBe(false)
+
+    picker.destroy()
+    createPicker()
+    press('d')
+    expect(picker.params.isDarkMode).toBe(false)
+    expect(element('[data-dark-mode-toggle]').hasAttribute('aria-keyshortcuts')).toBe(false)
+  })
+
+  it('takes custom keys per action, with false turning one off', () => {
+    createPicker({ shortcuts: { darkMode: 'n', reset: 'r', orientation: false } })
+
+    press('o')
+    press('n')
+    expect(picker.params).toMatchObject({ isPortrait: false, isDarkMode: true })
+    expect(element('[data-reset-button]').getAttribute('aria-keyshortcuts')).toBe('r')
+
+    press('r')
+    expect(picker.params.isDarkMode).toBe(false)
+  })
+
+  it('rejects unknown shortcut actions and invalid keys', () => {
+    expect(() => createPicker({ shortcuts: { zoom: 'z' } })).toThrow('TRMNLPicker: Unknown shortcut action "zoom"')
+    expect(() => createPicker({ shortcuts: { darkMode: '' } }))
+      .toThrow('TRMNLPicker: Shortcut key for "darkMode" must be a non-empty string or false')
+  })
+})
@@ -0,0 +1,215 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { getApiUrl, loadApiData, fetchApiData, setCachedApiData } from '../src/api.js'
+import { TRMNLPickerHttpError, TRMNLPickerPayloadError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+let server = 0
+
+/**
+ * Options for a server no other test talks to, since in-flight requests and refreshed URLs
+ * are shared for the whole page
+ */
+function serverOptions(options = {}) {
+  server++
+  return { apiBaseUrl: `https://byos-${server}.example.com`, retryDelay: 0, ...options }
+}
+
+function jsonResponse(body, init = {}) {
+  return new Response(JSON.stringify(body), { status: 200, ...init })
+}
+
+describe('getApiUrl', () => {
+  it('joins the base URL and endpoint path', () => {
+    expect(getApiUrl('models', {})).toBe('https://trmnl.com/api/models')
+    expect(getApiUrl('palettes', { apiBaseUrl: 'https://byos.example.com/' })).toBe('https://byos.example.com/api/palettes')
+    expect(getApiUrl('models', { apiBaseUrl: 'https://byos.example.com', modelsPath: 'v2/models' })).toBe('https://byos.example.com/v2/models')
+  })
+
+  it('uses absolute endpoint paths as-is', () => {
+    expect(getApiUrl('models', { apiBaseUrl: 'https://byos.example.com', modelsPath: 'https://cdn.example.com/models.json' }))
+      .toBe('https://cdn.example.com/models.json')
+  })
+})
+
+describe('fetchApiData', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('accepts bare arrays and { data } responses and caches valid data', async () => {
+    const options = serverOptions({ fetch: vi.fn(async () => jsonResponse({ data: models })) })
+
+    await expect(fetchApiData('models', options)).resolves.toEqual(models)
+
+    const cached = JSON.parse(localStorage.getItem(`trmnl-picker-api-cache:${getApiUrl('models', options)}`))
+    expect(cached.data).toEqual(models)
+  })
+
+  it('does not cache data failing validation', async () => {
+    const options = serverOptions({ fetch: async () => jsonResponse([{ id: 'broken' }]) })
+
+    await fetchApiData('palettes', options)
+
+    expect(localStorage.getItem(`trmnl-picker-api-cache:${getApiUrl('palettes', options)}`)).toBe(null)
+  })
+
+  it('retries network errors and retryable statuses', async () => {
+    const fetchFn = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(new Response('', { status: 502, statusText: 'Bad Gateway' }))
+      .mockResolvedValueOnce(jsonResponse(palettes))
+
+    await expect(fetchApiData('palettes', serverOptions({ fetch: fetchFn }))).resolves.toEqual(palettes)
+    expect(fetchFn).toHaveBeenCalledTimes(3)
+  })
+
+  it('does not retry client errors or bad payloads', async () => {
+    const notFound = vi.fn(async () => new Response('', { status: 404, statusText: 'Not Found' }))
+    const empty = vi.fn(async () => jsonResponse([]))
+
+    await expect(fetchApiData('models', serverOptions({ fetch: notFound }))).rejects.toMatchObject({
+      constructor: TRMNLPickerHttpError,
+      status: 404
+    })
+    await expect(fetchApiData('models', serverOptions({ fetch: empty }))).rejects.toBeInstanceOf(TRMNLPickerPayloadError)
+    expect(notFound).toHaveBeenCalledTimes(1)
+    expect(empty).toHaveBeenCalledTimes(1)
+  })
+
+  it('gives up after the configured number of retries', async () => {
+    const fetchFn = vi.fn(async () => new Response('', { status: 503, statusText: 'Service Unavailable' }))
+
+    await expect(fetchApiData('models', serverOptions({ fetch: fetchFn, retries: 1 }))).rejects.toMatchObject({ status: 503 })
+    expect(fetchFn).toHaveBeenCalledTimes(2)
+  })
+
+  it('waits for Retry-After instead of the backoff delay', async () => {
+    vi.useFakeTimers()
+    try {
+      const fetchFn = vi.fn()
+        .mockResolvedValueOnce(new Response('', { status: 429, headers: { 'Retry-After': '2' } }))
+        .mockResolvedValueOnce(jsonResponse(models))
+
+      const promise = fetchApiData('models', serverOptions({ fetch: fetchFn, retryDelay: 60 * 1000 }))
+
+      await vi.advanceTimersByTimeAsync(1999)
+      expect(fetchFn).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(1)
+      await expect(promise).resolves.toEqual(models)
+      expect(fetchFn).toHaveBeenCalledTimes(2)
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it('shares one request between callers with equal headers', async () => {
+    const fetchFn = vi.fn(async () => jsonResponse(models))
+    const options = serverOptions({ fetch: fetchFn })
+
+    const results = await Promise.all([
+      fetchApiData('models', { ...options, headers: { Authorization: 'Bearer a', Accept: 'application/json' } }),
+      fetchApiData('models', { ...options, headers: new Headers([['accept', 'application/json'], ['authorization', 'Bearer a']]) })
+    ])
+
+    expect(results).toEqual([models, models])
+    expect(fetchFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('never shares requests between different headers', async () => {
+    const fetchFn = vi.fn(async () => jsonResponse(models))
+    const options = serverOptions({ fetch: fetchFn })
+
+    await Promise.all([
+      fetchApiData('models', { ...options, headers: { Authorization: 'Bearer a' } }),
+      fetchApiData('models', { ...options, headers: { Authorization: 'Bearer b' } })
+    ])
+
+    expect(fetchFn).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps a shared request running until its last caller aborts', async () => {
+    let requestSignal
+    let respond
+    const fetchFn = vi.fn((url, { signal }) => {
+      requestSignal = signal
+      return new Promise(resolve => { respond = resolve })
+    })
+    const options = serverOptions({ fetch: fetchFn })
+    const first = new AbortController()
+    const second = new AbortController()
+
+    const firstPromise = fetchApiData('models', { ...options, signal: first.signal })
+    const secondPromise = fetchApiData('models', { ...options, signal: second.signal })
+    const thirdPromise = fetchApiData('models', options)
+
+    first.abort()
+    await expect(firstPromise).rejects.toMatchObject({ name: 'AbortError' })
+    expect(requestSignal.aborted).toBe(false)
+
+    respond(jsonResponse(models))
+    await expect(secondPromise).resolves.toEqual(models)
+    await expect(thirdPromise).resolves.toEqual(models)
+  })
+
+  it('cancels the request when every caller aborts', async () => {
+    let requestSignal
+    const fetchFn = vi.fn((url, { signal }) => {
+      requestSignal = signal
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason))
+      })
+    })
+    const controller = new AbortController()
+    const options = serverOptions({ fetch: fetchFn, signal: controller.signal })
+
+    const promise = fetchApiData('models', options)
+    controller.abort()
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' })
+    expect(requestSignal.aborted).toBe(true)
+
+    // A later caller starts a new request instead of joining the cancelled one
+    await expect(fetchApiData('models', { ...options, signal: undefined, fetch: async () => jsonResponse(models) }))
+      .resolves.toEqual(models)
+  })
+})
+
+describe('loadApiData', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('serves cache and revalidates it once per page load', async () => {
+    const fetchFn = vi.fn(async () => jsonResponse(models))
+    const options = serverOptions({ fetch: fetchFn })
+    setCachedApiData(getApiUrl('models', options), models.slice(0, 1))
+
+    await expect(loadApiData('models', options)).resolves.toEqual({ data: models.slice(0, 1), revalidate: true, source: 'cached' })
+
+    await fetchApiData('models', options)
+
+    await expect(loadApiData('models', options)).resolves.toMatchObject({ data: models, revalidate: false, source: 'cached' })
+    expect(fetchFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('ignores expired cache with cache-first unless the request fails', async () => {
+    const options = serverOptions({ cacheStrategy: 'cache-first', cacheTtl: -1, retries: 0 })
+    setCachedApiData(getApiUrl('palettes', options), palettes)
+
+    await expect(loadApiData('palettes', { ...options, fetch: async () => jsonResponse(palettes.slice(0, 2)) }))
+      .resolves.toEqual({ data: palettes.slice(0, 2), revalidate: false, source: 'live' })
+
+    setCachedApiData(getApiUrl('palettes', options), palettes)
+    await expect(loadApiData('palettes', { ...options, fetch: async () => { throw new TypeError('offline') } }))
+      .resolves.toEqual({ data: palettes, revalidate: false, source: 'cached' })
+  })
+
+  it('rejects unknown cache strategies', async () => {
+    await expect(loadApiData('models', serverOptions({ cacheStrategy: 'network-only' })))
+      .rejects.toThrow('TRMNLPicker: cacheStrategy must be one of')
+  })
+})
@@ -0,0 +1,118 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function changeModel(value) {
+  const select = document.querySelector('[data-model-select]')
+  select.value = value
+  select.dispatchEvent(new Event('change'))
+}
+
+describe('TRMNLPicker trmnl:beforechange', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('includes the previous state and the changed keys in trmnl:change', () => {
+    createPicker()
+    let detail = null
+    picker.on('trmnl:change', change => { detail = change })
+
+    picker.setParams({ modelName: 'kindle_2024' })
+
+    expect(detail.previous.model.name).toBe('og_plus')
+    expect(detail.previous.palette.id).toBe('gray-4')
+    expect(detail.changedKeys).toEqual(['modelName', 'paletteId'])
+  })
+
+  it('emits nothing when the params are already current', () => {
+    createPicker()
+    const listener = vi.fn()
+    picker.formElement.addEventListener('trmnl:beforechange', listener)
+    picker.formElement.addEventListener('trmnl:change', listener)
+
+    expect(picker.setParams({ modelName: 'og_plus', isDarkMode: false })).toBe(false)
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('passes the origin, complete proposed params and current params', () => {
+    createPicker()
+    let detail = null
+    picker.formElement.addEventListener('trmnl:beforechange', event => { detail = event.detail })
+
+    picker.setParams({ modelName: 'og_png' })
+
+    expect(detail.origin).toBe('setParams')
+    expect(detail.params).toEqual({ modelName: 'og_png', paletteId: 'bw', isPortrait: false, isDarkMode: false, scale: 1 })
+    expect(detail.current).toMatchObject({ modelName: 'og_plus', paletteId: 'gray-4' })
+  })
+
+  it('cancels the change with preventDefault', () => {
+    createPicker()
+    const change = vi.fn()
+    picker.on('trmnl:change', change)
+    picker.formElement.addEventListener('trmnl:beforechange', event => event.preventDefault())
+
+    expect(picker.setParams({ isDarkMode: true })).toBe(false)
+
+    expect(picker.params.isDarkMode).toBe(false)
+    expect(change).not.toHaveBeenCalled()
+    expect(picker.canUndo).toBe(false)
+  })
+
+  it('resets the form controls after a cancelled form change', () => {
+    createPicker()
+    picker.formElement.addEventListener('trmnl:beforechange', event => {
+      if (event.detail.origin === 'form') event.preventDefault()
+    })
+
+    changeModel('kindle_2024')
+
+    expect(picker.params.modelName).toBe('og_plus')
+    expect(document.querySelector('[data-model-select]').value).toBe('og_plus')
+  })
+
+  it('applies params rewritten by a listener', () => {
+    createPicker()
+    picker.formElement.addEventListener('trmnl:beforechange', event => {
+      const { params } = event.detail
+      if (params.paletteId === 'bw' && params.isDarkMode) event.detail.params = { ...params, isDarkMode: false }
+    })
+
+    picker.setParams({ modelName: 'og_png', isDarkMode: true })
+
+    expect(picker.params).toMatchObject({ modelName: 'og_png', isDarkMode: false })
+  })
+
+  it('does not let startup or catalog changes be cancelled', () => {
+    document.body.innerHTML = '<form id="picker-form"><select data-model-select></select><select data-palette-select></select></form>'
+    const listener = vi.fn(event => event.preventDefault())
+    document.getElementById('picker-form').addEventListener('trmnl:beforechange', listener)
+
+    picker = new TRMNLPicker('picker-form', { models, palettes, params: { modelName: 'kindle_2024' } })
+    picker.setCatalog({ models: models.filter(model => model.name !== 'kindle_2024'), palettes })
+
+    expect(listener).not.toHaveBeenCalled()
+    expect(picker.params.modelName).toBe('og_plus')
+  })
+})
@@ -0,0 +1,84 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { TRMNLPickerNetworkError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+let pickers = []
+let server = 0
+
+function createForm() {
+  const form = document.createElement('form')
+  form.innerHTML = '<select data-model-select></select><select data-palette-select></select>'
+  document.body.append(form)
+  return form
+}
+
+async function create(options) {
+  server += 1
+  const picker = await TRMNLPicker.create(createForm(), { apiBaseUrl: `https://offline-${server}.example.com`, retries: 0, ...options })
+  pickers.push(picker)
+  return picker
+}
+
+describe('TRMNLPicker bundled catalog', () => {
+  const offlineFetch = vi.fn(async () => { throw new TypeError('Failed to fetch') })
+
+  beforeEach(() => {
+    localStorage.clear()
+    document.body.innerHTML = ''
+    offlineFetch.mockClear()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    pickers.forEach(picker => picker.destroy())
+    pickers = []
+    vi.restoreAllMocks()
+  })
+
+  it('falls back to the bundled catalog when the API is unreachable', async () => {
+    const picker = await create({ fetch: offlineFetch })
+
+    expect(offlineFetch).toHaveBeenCalled()
+    expect(picker.models).toEqual(TRMNLPicker.BUNDLED_CATALOG.models)
+    expect(picker.palettes).toEqual(TRMNLPicker.BUNDLED_CATALOG.palettes)
+    expect(picker.catalogSource).toBe('bundled')
+    expect(console.warn).toHaveBeenCalledWith('TRMNLPicker: Using bundled catalog:', expect.any(TRMNLPickerNetworkError))
+  })
+
+  it('skips the network with bundledCatalog: always', async () => {
+    const picker = await create({ fetch: offlineFetch, bundledCatalog: 'always' })
+    let detail = null
+    picker.on('trmnl:change', change => { detail = change })
+
+    picker.setParams({ isDarkMode: true })
+
+    expect(offlineFetch).not.toHaveBeenCalled()
+    expect(picker.catalogSource).toBe('bundled')
+    expect(detail.catalogSource).toBe('bundled')
+  })
+
+  it('throws with bundledCatalog: false', async () => {
+    await expect(create({ fetch: offlineFetch, bundledCatalog: false })).rejects.toBeInstanceOf(TRMNLPickerNetworkError)
+  })
+
+  it('keeps models passed in and takes only the other half from the bundle', async () => {
+    const picker = await create({ fetch: offlineFetch, models })
+
+    expect(picker.models.map(model => model.name)).toContain('kindle_2024')
+    expect(picker.palettes).toEqual(TRMNLPicker.BUNDLED_CATALOG.palettes)
+    expect(picker.catalogSource).toBe('bundled')
+  })
+
+  it('reports provided when models and palettes are both passed in', async () => {
+    const picker = await create({ fetch: offlineFetch, models, palettes, bundledCatalog: 'always' })
+
+    expect(picker.catalogSource).toBe('provided')
+  })
+
+  it('rejects an unknown bundledCatalog mode', async () => {
+    await expect(create({ fetch: offlineFetch, bundledCatalog: 'never' }))
+      .rejects.toThrow('TRMNLPicker: bundledCatalog must be one of: \'fallback\', \'always\', false')
+  })
+})
@@ -0,0 +1,134 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select class="field"></select>
+      <select data-palette-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, modelSearch: true, ...options })
+  return picker
+}
+
+function input() {
+  return document.querySelector('[data-model-search]')
+}
+
+function type(value) {
+  input().value = value
+  input().dispatchEvent(new Event('input'))
+}
+
+function press(key) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+  input().dispatchEvent(event)
+  return event
+}
+
+function visibleOptions() {
+  return [...document.querySelectorAll('[role="listbox"] [role="option"][data-value]')].map(option => option.dataset.value)
+}
+
+describe('TRMNLPicker model search', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('hides the select behind a labelled combobox showing the current model', () => {
+    createPicker()
+    const listbox = document.querySelector('[role="listbox"]')
+
+    expect(document.querySelector('[data-model-select]').hidden).toBe(true)
+    expect(input().getAttribute('role')).toBe('combobox')
+    expect(input().className).toBe('field')
+    expect(input().value).toBe('OG+')
+    expect(input().getAttribute('aria-expanded')).toBe('false')
+    expect(input().getAttribute('aria-controls')).toBe(listbox.id)
+    expect(input().getAttribute('aria-label')).toBe('Model')
+    expect(listbox.hidden).toBe(true)
+  })
+
+  it('filters by label, name or resolution and keeps the groups', () => {
+    createPicker()
+
+    type('1448x1072')
+    expect(visibleOptions()).toEqual(['kindle_2024'])
+
+    type('og_')
+    expect(visibleOptions()).toEqual(['og_png', 'og_plus'])
+    expect(document.querySelector('[role="group"] [role="presentation"]').textContent).toBe('TRMNL')
+    expect(input().getAttribute('aria-expanded')).toBe('true')
+
+    type('nothing')
+    expect(visibleOptions()).toEqual([])
+    expect(document.querySelector('[role="listbox"]').textContent).toBe('No matching models')
+  })
+
+  it('moves through the list with the arrow keys and picks with Enter', () => {
+    createPicker()
+    const names = []
+    picker.on('trmnl:change', detail => names.push(detail.model.name))
+
+    press('ArrowDown')
+    expect(document.getElementById(input().getAttribute('aria-activedescendant')).dataset.value).toBe('og_plus')
+    expect(document.querySelector('[aria-selected="true"]').dataset.value).toBe('og_plus')
+
+    press('ArrowDown')
+    press('Enter')
+
+    expect(names).toEqual(['kindle_2024'])
+    expect(input().value).toBe('Kindle 2024')
+    expect(input().getAttribute('aria-expanded')).toBe('false')
+    expect(document.querySelector('[data-model-select]').value).toBe('kindle_2024')
+  })
+
+  it('keeps Enter from submitting the form', () => {
+    createPicker()
+
+    type('og_png')
+    const event = press('Enter')
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(picker.params.modelName).toBe('og_png')
+  })
+
+  it('restores the current model on Escape', () => {
+    createPicker()
+
+    type('kindle')
+    press('Escape')
+
+    expect(input().value).toBe('OG+')
+    expect(picker.params.modelName).toBe('og_plus')
+    expect(document.querySelector('[role="listbox"]').hidden).toBe(true)
+  })
+
+  it('follows changes made elsewhere', () => {
+    createPicker()
+
+    picker.setParams({ modelName: 'og_png' })
+
+    expect(input().value).toBe('OG (PNG)')
+  })
+
+  it('removes the combobox and shows the select again on destroy', () => {
+    createPicker()
+
+    picker.destroy()
+
+    expect(input()).toBe(null)
+    expect(document.querySelector('[data-model-select]').hidden).toBe(false)
+  })
+})
@@ -0,0 +1,118 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { TRMNLPickerError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+      <button type="button" data-compare-button>Compare</button>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function record(types) {
+  const events = []
+  types.forEach(type => picker.on(type, detail => events.push([type, detail])))
+  return events
+}
+
+function names() {
+  return picker.comparisons.map(entry => entry.model.name)
+}
+
+describe('TRMNLPicker comparisons', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('starts from the initial entries, each resolved to its own state', () => {
+    createPicker({ comparisons: [{ modelName: 'og_png' }, { modelName: 'kindle_2024', isPortrait: true }] })
+
+    const entries = picker.comparisons.map(({ id, params, screenClasses, width, height }) => {
+      return [id, params.paletteId, screenClasses.includes('screen--portrait'), width, height]
+    })
+
+    expect(entries).toEqual([
+      [1, 'bw', false, 800, 480],
+      [2, 'gray-16', true, 536, 724]
+    ])
+  })
+
+  it('adds entries over the current selection and fires trmnl:comparison-add', () => {
+    createPicker()
+    const events = record(['trmnl:comparison-add'])
+    picker.setParams({ isDarkMode: true })
+
+    const entry = picker.addComparison({ modelName: 'og_png' })
+
+    expect(entry).toMatchObject({ id: 1, params: { modelName: 'og_png', paletteId: 'bw', isDarkMode: true } })
+    expect(events).toHaveLength(1)
+    expect(events[0][1]).toMatchObject({ entry: { id: 1 }, index: 0 })
+    expect(events[0][1].comparisons).toEqual(picker.comparisons)
+  })
+
+  it('adds the current selection with the compare button', () => {
+    createPicker()
+    picker.setParams({ modelName: 'kindle_2024' })
+
+    document.querySelector('[data-compare-button]').click()
+
+    expect(names()).toEqual(['kindle_2024'])
+  })
+
+  it('moves entries, clamping the position, and fires trmnl:comparison-reorder', () => {
+    createPicker({ comparisons: [{ modelName: 'og_png' }, { modelName: 'og_plus' }, { modelName: 'kindle_2024' }] })
+    const events = record(['trmnl:comparison-reorder'])
+
+    expect(picker.moveComparison(3, -5)).toBe(true)
+    expect(names()).toEqual(['kindle_2024', 'og_png', 'og_plus'])
+    expect(events[0][1]).toMatchObject({ entry: { id: 3 }, from: 2, to: 0 })
+
+    expect(picker.moveComparison(3, 0)).toBe(true)
+    expect(picker.moveComparison(99, 0)).toBe(false)
+    expect(events).toHaveLength(1)
+  })
+
+  it('removes entries and fires trmnl:comparison-remove', () => {
+    createPicker({ comparisons: [{ modelName: 'og_png' }, { modelName: 'og_plus' }] })
+    const events = record(['trmnl:comparison-remove'])
+
+    expect(picker.removeComparison(1)).toBe(true)
+    expect(picker.removeComparison(1)).toBe(false)
+
+    expect(names()).toEqual(['og_plus'])
+    expect(events).toHaveLength(1)
+    expect(events[0][1]).toMatchObject({ entry: { id: 1, params: { modelName: 'og_png' } }, index: 0 })
+  })
+
+  it('removes entries whose model leaves the catalog', () => {
+    createPicker({ comparisons: [{ modelName: 'og_png' }, { modelName: 'kindle_2024' }] })
+    const events = record(['trmnl:comparison-remove'])
+
+    picker.setCatalog({ models: models.filter(model => model.name !== 'kindle_2024'), palettes })
+
+    expect(names()).toEqual(['og_png'])
+    expect(events.map(([, detail]) => detail.entry.id)).toEqual([2])
+  })
+
+  it('rejects models excluded by the filter', () => {
+    createPicker({ filter: { excludeModels: ['og_png'] } })
+
+    expect(() => picker.addComparison({ modelName: 'og_png' })).toThrow(TRMNLPickerError)
+    expect(picker.comparisons).toEqual([])
+  })
+})
@@ -0,0 +1,278 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import TRMNLPickerCore from '../src/core.js'
+import { TRMNLPickerError, TRMNLPickerNoModelsError, TRMNLPickerPayloadError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+describe('TRMNLPickerCore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('initial state', () => {
+    it('selects og_plus with its first usable palette by default', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      expect(core.params).toEqual({
+        modelName: 'og_plus',
+        paletteId: 'gray-4',
+        isPortrait: false,
+        isDarkMode: false,
+        scale: 1
+      })
+    })
+
+    it('applies initial params over the defaults', () => {
+      const core = new TRMNLPickerCore({ models, palettes, params: { modelName: 'kindle_2024', isDarkMode: true } })
+
+      expect(core.params).toMatchObject({ modelName: 'kindle_2024', paletteId: 'gray-16', isDarkMode: true })
+    })
+
+    it('falls back to the defaults for an unknown model', () => {
+      const core = new TRMNLPickerCore({ models, palettes, params: { modelName: 'missing', paletteId: 'bw' } })
+
+      expect(core.params.modelName).toBe('og_plus')
+      expect(core.params.paletteId).toBe('bw')
+    })
+
+    it('drops models without a usable palette', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      expect(core.models.map(model => model.name)).not.toContain('no_palette')
+    })
+  })
+
+  describe('screenClasses and dimensions', () => {
+    it('derives the Framework classes in order', () => {
+      const core = new TRMNLPickerCore({
+        models,
+        palettes,
+        params: { modelName: 'og_plus', paletteId: 'bw', isPortrait: true, isDarkMode: true, scale: 2 }
+      })
+
+      expect(core.screenClasses).toEqual([
+        'screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--portrait', 'screen--2x', 'screen--dark-mode'
+      ])
+    })
+
+    it('divides by the scale factor, swaps for portrait and multiplies by the preview scale', () => {
+      const core = new TRMNLPickerCore({ models, palettes, params: { modelName: 'kindle_2024' } })
+
+      expect(core.dimensions).toEqual({ width: 724, height: 536, scaledWidth: 724, scaledHeight: 536 })
+
+      core.setParams({ isPortrait: true, scale: 2 })
+
+      expect(core.dimensions).toEqual({ width: 536, height: 724, scaledWidth: 1072, scaledHeight: 1448 })
+    })
+
+    it('lists every class the catalog and scales can produce', () => {
+      const core = new TRMNLPickerCore({ models, palettes, filter: { kinds: ['trmnl'] } })
+
+      expect(core.allScreenClasses.sort()).toEqual([
+        'screen', 'screen--1bit', 'screen--1x', 'screen--2bit', 'screen--2x', 'screen--4bit', 'screen--dark-mode',
+        'screen--md', 'screen--og', 'screen--portrait', 'screen--v2'
+      ])
+    })
+
+    it('keeps screen--1x for fractional scales', () => {
+      const core = new TRMNLPickerCore({ models, palettes, scales: [1, 1.5], params: { scale: 1.5 } })
+
+      expect(core.screenClasses).toContain('screen--1x')
+      expect(core.dimensions.scaledWidth).toBe(1200)
+    })
+  })
+
+  describe('setParams', () => {
+    it('notifies subscribers with the origin, previous state and changed keys', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+      const listener = vi.fn()
+      core.subscribe(listener)
+
+      expect(core.setParams({ isDarkMode: true })).toBe(true)
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      const detail = listener.mock.calls[0][0]
+      expect(detail.origin).toBe('setParams')
+      expect(detail.changedKeys).toEqual(['isDarkMode'])
+      expect(detail.previous.isDarkMode).toBe(false)
+      expect(detail.screenClasses).toContain('screen--dark-mode')
+    })
+
+    it('does not notify when nothing changed', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+      const listener = vi.fn()
+      core.subscribe(listener)
+
+      expect(core.setParams({ ...core.params })).toBe(false)
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('selects the first usable palette of a new model, and ignores palettes the model lacks', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      core.setParams({ modelName: 'og_png', paletteId: 'gray-16' })
+
+      expect(core.params.paletteId).toBe('bw')
+    })
+
+    it('stops notifying after unsubscribing', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+      const listener = vi.fn()
+      const unsubscribe = core.subscribe(listener)
+
+      unsubscribe()
+      core.setParams({ isPortrait: true })
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('updates silently, leaving the notification to notify()', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+      const listener = vi.fn()
+      core.subscribe(listener)
+
+      expect(core.setParams({ modelName: 'og_png' }, 'constructor', { silent: true })).toBe(true)
+      expect(listener).not.toHaveBeenCalled()
+
+      core.notify('constructor')
+
+      expect(listener).toHaveBeenCalledOnce()
+      expect(listener.mock.calls[0][0]).toMatchObject({
+        origin: 'constructor',
+        previous: null,
+        changedKeys: ['modelName', 'paletteId', 'isPortrait', 'isDarkMode', 'scale']
+      })
+      expect(listener.mock.calls[0][0].model.name).toBe('og_png')
+    })
+
+    it('rejects non-object params', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      expect(() => core.setParams(null)).toThrow('params must be an object')
+    })
+  })
+
+  describe('resolve', () => {
+    it('works out params and state without changing the selection', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+      const listener = vi.fn()
+      core.subscribe(listener)
+
+      const { params, state } = core.resolve({ modelName: 'og_png', isPortrait: true })
+
+      expect(params).toMatchObject({ modelName: 'og_png', paletteId: 'bw', isPortrait: true })
+      expect(state.screenClasses).toContain('screen--portrait')
+      expect(core.params.modelName).toBe('og_plus')
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('model defaults', () => {
+    it('reports whether palette, orientation and dark mode are at the model defaults', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      expect(core.isAtModelDefaults).toBe(true)
+
+      core.setParams({ paletteId: 'bw', scale: 2 })
+
+      expect(core.isAtModelDefaults).toBe(false)
+      expect(core.modelDefaultParams).toEqual({ paletteId: 'gray-4', isPortrait: false, isDarkMode: false })
+    })
+  })
+
+  describe('filter, grouping and sorting', () => {
+    it('only allows models matching the filter', () => {
+      const core = new TRMNLPickerCore({ models, palettes, filter: { kinds: ['trmnl'], excludeModels: ['og_png'] } })
+
+      expect(core.models.map(model => model.name)).toEqual(['og_plus'])
+      expect(() => core.setParams({ modelName: 'og_png' })).toThrow(TRMNLPickerError)
+    })
+
+    it('asserts params against the filter without changing anything', () => {
+      const core = new TRMNLPickerCore({ models, palettes, filter: { excludeModels: ['og_png'] } })
+
+      expect(() => core.assertModelAllowed({ modelName: 'og_png' })).toThrow('excluded by the model filter')
+      expect(() => core.assertModelAllowed({ modelName: 'missing' })).not.toThrow()
+      expect(() => core.assertModelAllowed({ isDarkMode: true })).not.toThrow()
+    })
+
+    it('throws when the filter matches nothing', () => {
+      expect(() => new TRMNLPickerCore({ models, palettes, filter: { models: ['missing'] } }))
+        .toThrow(TRMNLPickerNoModelsError)
+    })
+
+    it('groups by kind, TRMNL first, sorted by label', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      expect(core.modelGroups.map(({ label, models }) => [label, models.map(model => model.name)])).toEqual([
+        ['TRMNL', ['og_png', 'og_plus']],
+        ['BYOD', ['kindle_2024']]
+      ])
+    })
+
+    it('supports a single list sorted by resolution', () => {
+      const core = new TRMNLPickerCore({ models, palettes, groupBy: false, sortBy: 'resolution' })
+
+      expect(core.modelGroups).toHaveLength(1)
+      expect(core.modelGroups[0].label).toBe(null)
+      expect(core.modelGroups[0].models.map(model => model.name)).toEqual(['og_png', 'og_plus', 'kindle_2024'])
+    })
+  })
+
+  describe('validation', () => {
+    const broken = [...models, { name: 'broken' }]
+
+    it('drops invalid entries with a warning in lenient mode', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const core = new TRMNLPickerCore({ models: broken, palettes })
+
+      expect(core.models.map(model => model.name)).not.toContain('broken')
+      expect(warn).toHaveBeenCalledOnce()
+    })
+
+    it('throws with every problem in strict mode', () => {
+      let error
+      try {
+        new TRMNLPickerCore({ models: broken, palettes, validation: 'strict' })
+      } catch (caught) {
+        error = caught
+      }
+
+      expect(error).toBeInstanceOf(TRMNLPickerPayloadError)
+      expect(error.problems.map(problem => problem.path)).toContain('models[4].width')
+    })
+
+    it('rejects an empty catalog', () => {
+      expect(() => new TRMNLPickerCore({ models: [], palettes })).toThrow(TRMNLPickerPayloadError)
+    })
+  })
+
+  describe('setCatalog', () => {
+    it('keeps the selection when it is still available', () => {
+      const core = new TRMNLPickerCore({ models, palettes, params: { modelName: 'og_png', isDarkMode: true } })
+      const listener = vi.fn()
+      core.subscribe(listener)
+
+      core.setCatalog({ models: models.slice(0, 2), palettes })
+
+      expect(core.params).toMatchObject({ modelName: 'og_png', isDarkMode: true })
+      expect(listener.mock.calls[0][0]).toMatchObject({ origin: 'catalog', changedKeys: [] })
+    })
+
+    it('falls back to the default model when the selected one is removed, keeping orientation and dark mode', () => {
+      const core = new TRMNLPickerCore({ models, palettes, params: { modelName: 'kindle_2024', isPortrait: true } })
+
+      core.setCatalog({ models: models.slice(0, 2), palettes })
+
+      expect(core.params).toMatchObject({ modelName: 'og_plus', paletteId: 'gray-4', isPortrait: true })
+    })
+
+    it('keeps the current catalog when the new one is rejected', () => {
+      const core = new TRMNLPickerCore({ models, palettes })
+
+      expect(() => core.setCatalog({ models: [models[3]], palettes })).toThrow(TRMNLPickerNoModelsError)
+      expect(core.models).toHaveLength(3)
+      expect(core.params.modelName).toBe('og_plus')
+    })
+  })
+})
@@ -0,0 +1,182 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { TRMNLPickerHttpError, TRMNLPickerNetworkError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+let server = 0
+
+function createForm() {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <p data-picker-status hidden></p>
+      <button type="button" data-retry-button hidden>Retry</button>
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+  return document.getElementById('picker-form')
+}
+
+/**
+ * create() options for a server no other test talks to, failing until `fail` is set to false
+ */
+function serverOptions(state, options = {}) {
+  server++
+  return {
+    apiBaseUrl: `https://byos-${server}.example.com`,
+    bundledCatalog: false,
+    retries: 0,
+    fetch: vi.fn(async url => {
+      if (state.fail) return new Response('', { status: 500, statusText: 'Internal Server Error' })
+      return new Response(JSON.stringify(url.endsWith('/models') ? models : palettes))
+    }),
+    ...options
+  }
+}
+
+function nextEvent(form, ...types) {
+  return new Promise(resolve => {
+    const listener = event => {
+      types.forEach(type => form.removeEventListener(type, listener))
+      resolve(event)
+    }
+    types.forEach(type => form.addEventListener(type, listener))
+  })
+}
+
+describe('TRMNLPicker.create status', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('marks the form as loading, then ready', async () => {
+    const form = createForm()
+    const promise = TRMNLPicker.create(form, serverOptions({ fail: false }))
+    const ready = nextEvent(form, 'trmnl:ready')
+
+    expect(form.getAttribute('data-picker-state')).toBe('loading')
+    expect(form.getAttribute('aria-busy')).toBe('true')
+    expect(form.querySelector('[data-picker-status]').hidden).toBe(false)
+
+    const picker = await promise
+
+    expect((await ready).detail.picker).toBe(picker)
+    expect(form.getAttribute('data-picker-state')).toBe('ready')
+    expect(form.hasAttribute('aria-busy')).toBe(false)
+    expect(form.querySelector('[data-picker-status]').hidden).toBe(true)
+    picker.destroy()
+  })
+
+  it('reports failures with a typed error, a message and the retry button', async () => {
+    const form = createForm()
+    const errorEvent = nextEvent(form, 'trmnl:error')
+
+    await expect(TRMNLPicker.create(form, serverOptions({ fail: true }))).rejects.toBeInstanceOf(TRMNLPickerHttpError)
+
+    const { detail } = await errorEvent
+    expect(detail.error.status).toBe(500)
+    expect(typeof detail.retry).toBe('function')
+    expect(form.getAttribute('data-picker-state')).toBe('error')
+    expect(form.querySelector('[data-picker-status]').textContent).not.toBe('')
+    expect(form.querySelector('[data-retry-button]').hidden).toBe(false)
+  })
+
+  it('describes network errors in the status element', async () => {
+    const form = createForm()
+    const options = serverOptions({}, { fetch: async () => { throw new TypeError('Failed to fetch') } })
+
+    await expect(TRMNLPicker.create(form, options)).rejects.toBeInstanceOf(TRMNLPickerNetworkError)
+    expect(form.querySelector('[data-picker-status]').textContent).toBe('Could not reach the server.')
+  })
+
+  it('retries once per click, even after a failed retry', async () => {
+    const form = createForm()
+    const state = { fail: true }
+    const options = serverOptions(state)
+    const button = form.querySelector('[data-retry-button]')
+
+    await expect(TRMNLPicker.create(form, options)).rejects.toThrow()
+    expect(options.fetch).toHaveBeenCalledTimes(2)
+
+    let settled = nextEvent(form, 'trmnl:error', 'trmnl:ready')
+    button.click()
+    expect((await settled).type).toBe('trmnl:error')
+    expect(options.fetch).toHaveBeenCalledTimes(4)
+
+    state.fail = false
+    settled = nextEvent(form, 'trmnl:error', 'trmnl:ready')
+    button.click()
+    const ready = await settled
+    expect(ready.type).toBe('trmnl:ready')
+    expect(options.fetch).toHaveBeenCalledTimes(6)
+
+    // No retry is left behind once the picker is ready
+    button.click()
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(options.fetch).toHaveBeenCalledTimes(6)
+    ready.detail.picker.destroy()
+  })
+
+  it('keeps one pending retry when trmnl:error retries fail again', async () => {
+    const form = createForm()
+    const options = serverOptions({ fail: true })
+    const errorEvent = nextEvent(form, 'trmnl:error')
+
+    await expect(TRMNLPicker.create(form, options)).rejects.toThrow()
+    const { retry } = (await errorEvent).detail
+    await expect(retry()).rejects.toThrow()
+    await expect(retry()).rejects.toThrow()
+    expect(options.fetch).toHaveBeenCalledTimes(6)
+
+    // Retries running side by side would share their requests, so count the create() calls
+    const create = vi.spyOn(TRMNLPicker, 'create')
+    const settled = nextEvent(form, 'trmnl:error', 'trmnl:ready')
+    form.querySelector('[data-retry-button]').click()
+    await settled
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(create).toHaveBeenCalledTimes(1)
+    create.mockRestore()
+  })
+
+  it('drops the pending retry when a later create() succeeds', async () => {
+    const form = createForm()
+    const state = { fail: true }
+    const options = serverOptions(state)
+
+    await expect(TRMNLPicker.create(form, options)).rejects.toThrow()
+    state.fail = false
+    const picker = await TRMNLPicker.create(form, options)
+
+    const create = vi.spyOn(TRMNLPicker, 'create')
+    form.querySelector('[data-retry-button]').click()
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(create).not.toHaveBeenCalled()
+    create.mockRestore()
+    picker.destroy()
+  })
+
+  it('clears the status when cancelled', async () => {
+    const form = createForm()
+    const controller = new AbortController()
+    const options = serverOptions({}, {
+      signal: controller.signal,
+      fetch: (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason))
+      })
+    })
+    const errorListener = vi.fn()
+    form.addEventListener('trmnl:error', errorListener)
+
+    const promise = TRMNLPicker.create(form, options)
+    controller.abort()
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' })
+    expect(form.hasAttribute('data-picker-state')).toBe(false)
+    expect(form.querySelector('[data-retry-button]').hidden).toBe(true)
+    expect(errorListener).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,119 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+function createElement(tagName, attributes = {}, html = '') {
+  const element = document.createElement(tagName)
+  element.models = models
+  element.palettes = palettes
+  element.innerHTML = html
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value))
+  document.body.append(element)
+  return element
+}
+
+describe('<trmnl-picker>', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    document.body.innerHTML = ''
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('is only registered by defineElement() or the browser build', async () => {
+    expect(window.customElements.get('trmnl-picker')).toBe(undefined)
+
+    await import('../src/browser.js')
+
+    expect(window.customElements.get('trmnl-picker')).toBeDefined()
+    expect(TRMNLPicker.defineElement()).toBe(window.customElements.get('trmnl-picker'))
+  })
+
+  it('renders its controls and starts from its attributes', async () => {
+    TRMNLPicker.defineElement('picker-render')
+    const element = createElement('picker-render', { model: 'kindle_2024', 'dark-mode': '' })
+
+    const picker = await element.ready
+
+    expect(element.querySelector('form [data-model-select]')).not.toBe(null)
+    expect(element.querySelector('form [data-palette-select]')).not.toBe(null)
+    expect(picker.params).toMatchObject({ modelName: 'kindle_2024', isDarkMode: true })
+    expect(element.params).toEqual(picker.params)
+  })
+
+  it('adds only the missing controls to a form it is given', async () => {
+    TRMNLPicker.defineElement('picker-own-form')
+    const element = createElement('picker-own-form', {}, '<form><select data-model-select class="mine"></select></form>')
+
+    await element.ready
+
+    expect(element.querySelectorAll('form').length).toBe(1)
+    expect(element.querySelectorAll('[data-model-select]').length).toBe(1)
+    expect(element.querySelector('[data-model-select]').classList.contains('mine')).toBe(true)
+    expect(element.querySelector('[data-palette-select]')).not.toBe(null)
+  })
+
+  it('reflects changes to its attributes and re-dispatches trmnl:change once', async () => {
+    TRMNLPicker.defineElement('picker-reflect')
+    const element = createElement('picker-reflect')
+    const picker = await element.ready
+    const listener = vi.fn()
+    document.addEventListener('trmnl:change', listener)
+
+    picker.setParams({ modelName: 'og_png', isPortrait: true, scale: 2 })
+
+    expect(element.getAttribute('model')).toBe('og_png')
+    expect(element.getAttribute('palette')).toBe('bw')
+    expect(element.hasAttribute('portrait')).toBe(true)
+    expect(element.hasAttribute('dark-mode')).toBe(false)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0].target).toBe(element)
+    document.removeEventListener('trmnl:change', listener)
+  })
+
+  it('applies attribute changes to the picker', async () => {
+    TRMNLPicker.defineElement('picker-attributes')
+    const element = createElement('picker-attributes')
+    const picker = await element.ready
+
+    element.setAttribute('model', 'kindle_2024')
+    element.setAttribute('dark-mode', '')
+    element.setAttribute('locale', 'de')
+
+    expect(picker.params).toMatchObject({ modelName: 'kindle_2024', isDarkMode: true })
+    expect(element.querySelector('[data-orientation-text]').textContent).toBe('Querformat')
+
+    element.removeAttribute('dark-mode')
+    expect(picker.params.isDarkMode).toBe(false)
+  })
+
+  it('destroys the picker and its generated form when removed', async () => {
+    TRMNLPicker.defineElement('picker-remove')
+    const element = createElement('picker-remove', { 'local-storage-key': 'picker' })
+    const picker = await element.ready
+
+    element.remove()
+
+    expect(picker.core).toBe(null)
+    expect(element.querySelector('form')).toBe(null)
+    expect(element.picker).toBe(null)
+    await expect(element.ready).rejects.toThrow('element is not connected')
+  })
+
+  it('reports invalid options once as trmnl:error', async () => {
+    TRMNLPicker.defineElement('picker-invalid')
+    const listener = vi.fn()
+    document.addEventListener('trmnl:error', listener)
+
+    const element = createElement('picker-invalid', { storage: 'bogus' })
+    await expect(element.ready).rejects.toThrow('storage must be')
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(typeof listener.mock.calls[0][0].detail.retry).toBe('function')
+    document.removeEventListener('trmnl:error', listener)
+  })
+})
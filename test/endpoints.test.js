@@ -0,0 +1,102 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let pickers = []
+
+function createForm() {
+  const form = document.createElement('form')
+  form.innerHTML = '<select data-model-select></select><select data-palette-select></select>'
+  document.body.append(form)
+  return form
+}
+
+function catalogFetch(catalog = { models, palettes }) {
+  return vi.fn(async url => new Response(JSON.stringify({ data: catalog[/palettes/.test(url) ? 'palettes' : 'models'] })))
+}
+
+async function create(options) {
+  const picker = await TRMNLPicker.create(createForm(), { bundledCatalog: false, ...options })
+  pickers.push(picker)
+  return picker
+}
+
+describe('TRMNLPicker API endpoints', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    document.body.innerHTML = ''
+  })
+
+  afterEach(() => {
+    pickers.forEach(picker => picker.destroy())
+    pickers = []
+    vi.unstubAllGlobals()
+  })
+
+  it('fetches from TRMNLPicker.API_BASE_URL with the global fetch by default', async () => {
+    const fetchFn = catalogFetch()
+    vi.stubGlobal('fetch', fetchFn)
+
+    await create({})
+
+    expect(TRMNLPicker.API_BASE_URL).toBe('https://trmnl.com')
+    expect(fetchFn.mock.calls.map(([url]) => url).sort()).toEqual(['https://trmnl.com/api/models', 'https://trmnl.com/api/palettes'])
+  })
+
+  it('uses a changed TRMNLPicker.API_BASE_URL for later pickers', async () => {
+    const fetchFn = catalogFetch()
+    const original = TRMNLPicker.API_BASE_URL
+    TRMNLPicker.API_BASE_URL = 'https://staging.example.com'
+
+    try {
+      await create({ fetch: fetchFn })
+    } finally {
+      TRMNLPicker.API_BASE_URL = original
+    }
+
+    expect(fetchFn.mock.calls[0][0]).toMatch(/^https:\/\/staging\.example\.com\/api\//)
+  })
+
+  it('sends the headers to the configured server and paths', async () => {
+    const fetchFn = catalogFetch()
+
+    await create({
+      apiBaseUrl: 'https://byos.example.com/',
+      modelsPath: '/v2/devices',
+      palettesPath: 'https://cdn.example.com/palettes.json',
+      headers: { Authorization: 'Bearer token' },
+      fetch: fetchFn
+    })
+
+    expect(fetchFn.mock.calls.map(([url]) => url).sort()).toEqual([
+      'https://byos.example.com/v2/devices',
+      'https://cdn.example.com/palettes.json'
+    ])
+    fetchFn.mock.calls.forEach(([, init]) => {
+      expect(init.headers).toEqual({ Authorization: 'Bearer token' })
+      expect(init.signal).toBeInstanceOf(AbortSignal)
+    })
+  })
+
+  it('caches per server, so pickers on different servers never share data', async () => {
+    const byosModels = models.filter(model => model.name === 'og_png')
+
+    const trmnl = await create({ apiBaseUrl: 'https://a.example.com', fetch: catalogFetch() })
+    const byos = await create({ apiBaseUrl: 'https://b.example.com', fetch: catalogFetch({ models: byosModels, palettes }) })
+
+    expect(trmnl.models.map(model => model.name)).toContain('kindle_2024')
+    expect(byos.models.map(model => model.name)).toEqual(['og_png'])
+    expect(localStorage.getItem('trmnl-picker-api-cache:https://a.example.com/api/models')).not.toBe(null)
+    expect(localStorage.getItem('trmnl-picker-api-cache:https://b.example.com/api/models')).not.toBe(null)
+  })
+
+  it('skips the network for models and palettes passed in', async () => {
+    const fetchFn = catalogFetch()
+
+    const picker = await create({ models, palettes, fetch: fetchFn })
+
+    expect(fetchFn).not.toHaveBeenCalled()
+    expect(picker.catalogSource).toBe('provided')
+  })
+})
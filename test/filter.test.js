@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { TRMNLPickerError, TRMNLPickerNoModelsError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function modelOptions() {
+  return [...document.querySelectorAll('[data-model-select] option')].map(option => option.value)
+}
+
+describe('TRMNLPicker model filter', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('offers only the models of the given kinds', () => {
+    createPicker({ filter: { kinds: ['kindle'] } })
+
+    expect(modelOptions()).toEqual(['kindle_2024'])
+    expect(picker.params.modelName).toBe('kindle_2024')
+  })
+
+  it('combines the name allow and deny lists with the kind conditions', () => {
+    createPicker({ filter: { models: ['og_png', 'og_plus', 'kindle_2024'], excludeModels: ['og_png'], excludeKinds: ['kindle'] } })
+
+    expect(modelOptions()).toEqual(['og_plus'])
+  })
+
+  it('passes each model with its usable palettes to the predicate', () => {
+    const predicate = vi.fn((model, modelPalettes) => modelPalettes.some(palette => palette.grays >= 16))
+
+    createPicker({ filter: { predicate } })
+
+    expect(modelOptions()).toEqual(['kindle_2024'])
+    const [, kindlePalettes] = predicate.mock.calls.find(([model]) => model.name === 'kindle_2024')
+    expect(kindlePalettes.map(palette => palette.id)).toEqual(['gray-16', 'bw'])
+  })
+
+  it('falls back to the default model when saved state points at a filtered-out model', () => {
+    localStorage.setItem('picker', JSON.stringify({ modelName: 'og_png', isDarkMode: true }))
+
+    createPicker({ localStorageKey: 'picker', filter: { excludeModels: ['og_png'] } })
+
+    expect(picker.params).toMatchObject({ modelName: 'og_plus', isDarkMode: true })
+  })
+
+  it('throws when setParams picks a filtered-out model', () => {
+    createPicker({ filter: { excludeModels: ['og_png'] } })
+
+    expect(() => picker.setParams({ modelName: 'og_png' })).toThrow(TRMNLPickerError)
+    expect(picker.params.modelName).toBe('og_plus')
+  })
+
+  it('rejects create() when no model passes the filter', async () => {
+    document.body.innerHTML = '<form id="picker-form"><select data-model-select></select><select data-palette-select></select></form>'
+
+    await expect(TRMNLPicker.create('picker-form', { models, palettes, filter: { models: ['missing'] } }))
+      .rejects.toBeInstanceOf(TRMNLPickerNoModelsError)
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Small catalog shared by the tests, shaped like the TRMNL API responses
+ */
+
+export const palettes = [
+  { id: 'bw', name: 'Black & White', grays: 2, colors: null, framework_class: 'screen--1bit' },
+  { id: 'gray-4', name: '4 Grays', grays: 4, colors: null, framework_class: 'screen--2bit' },
+  { id: 'gray-16', name: '16 Grays', grays: 16, colors: null, framework_class: 'screen--4bit' },
+  { id: 'unused', name: 'Unused', grays: 2, colors: null, framework_class: '' }
+]
+
+export const models = [
+  {
+    name: 'og_png',
+    label: 'OG (PNG)',
+    kind: 'trmnl',
+    width: 800,
+    height: 480,
+    scale_factor: 1,
+    palette_ids: ['bw'],
+    css: { classes: { device: 'screen--og', size: 'screen--md' } }
+  },
+  {
+    name: 'og_plus',
+    label: 'OG+',
+    kind: 'trmnl',
+    width: 800,
+    height: 480,
+    scale_factor: 1,
+    palette_ids: ['gray-4', 'bw'],
+    css: { classes: { device: 'screen--v2', size: 'screen--md' } }
+  },
+  {
+    name: 'kindle_2024',
+    label: 'Kindle 2024',
+    kind: 'kindle',
+    width: 1448,
+    height: 1072,
+    scale_factor: 2,
+    palette_ids: ['gray-16', 'bw'],
+    css: { classes: { device: 'screen--kindle', size: 'screen--lg' } }
+  },
+  {
+    name: 'no_palette',
+    label: 'No Palette',
+    kind: 'byod',
+    width: 400,
+    height: 300,
+    scale_factor: 1,
+    palette_ids: ['unused'],
+    css: { classes: { device: 'screen--byod', size: 'screen--sm' } }
+  }
+]
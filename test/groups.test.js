@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function dropdown() {
+  return [...document.querySelector('[data-model-select]').children].map(child => child.tagName === 'OPTGROUP'
+    ? [child.label, [...child.children].map(option => option.value)]
+    : child.value)
+}
+
+describe('TRMNLPicker model dropdown groups', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('groups by kind with TRMNL first by default', () => {
+    createPicker()
+
+    expect(dropdown()).toEqual([
+      ['TRMNL', ['og_png', 'og_plus']],
+      ['BYOD', ['kindle_2024']]
+    ])
+  })
+
+  it('shows the kind groups with the labels of the messages', () => {
+    createPicker({ messages: { groupTrmnl: 'Official', groupByod: 'Other' } })
+
+    expect(dropdown().map(([label]) => label)).toEqual(['Official', 'Other'])
+  })
+
+  it('puts the groups of groupOrder first and the rest alphabetically', () => {
+    createPicker({
+      groupBy: model => model.name.startsWith('og') ? 'OG' : model.kind,
+      groupOrder: ['kindle']
+    })
+
+    expect(dropdown()).toEqual([
+      ['kindle', ['kindle_2024']],
+      ['OG', ['og_png', 'og_plus']]
+    ])
+  })
+
+  it('lists a flat dropdown without optgroups with groupBy: false', () => {
+    createPicker({ groupBy: false, sortBy: 'name' })
+
+    expect(dropdown()).toEqual(['kindle_2024', 'og_plus', 'og_png'])
+  })
+
+  it('sorts each group with a comparator', () => {
+    createPicker({ sortBy: (a, b) => a.name.localeCompare(b.name) })
+
+    expect(dropdown()).toEqual([
+      ['TRMNL', ['og_plus', 'og_png']],
+      ['BYOD', ['kindle_2024']]
+    ])
+
+    picker.destroy()
+    createPicker({ groupBy: false, sortBy: (a, b) => b.width - a.width || a.label.localeCompare(b.label) })
+
+    expect(dropdown()).toEqual(['kindle_2024', 'og_png', 'og_plus'])
+  })
+
+  it('keeps the selected model when the dropdown is regrouped by a new catalog', () => {
+    createPicker({ groupBy: false })
+    picker.setParams({ modelName: 'kindle_2024' })
+
+    picker.setCatalog({ models: models.filter(model => model.name !== 'og_png'), palettes })
+
+    expect(dropdown()).toEqual(['kindle_2024', 'og_plus'])
+    expect(document.querySelector('[data-model-select]').value).toBe('kindle_2024')
+  })
+})
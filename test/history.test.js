@@ -0,0 +1,139 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let pickers = []
+
+function createPickers(...optionsList) {
+  document.body.innerHTML = optionsList.map((options, index) => `
+    <form id="picker-${index}">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+      <button type="button" data-undo-button>Undo</button>
+      <button type="button" data-redo-button>Redo</button>
+    </form>
+  `).join('')
+
+  pickers = optionsList.map((options, index) => new TRMNLPicker(`picker-${index}`, { models, palettes, ...options }))
+  return pickers
+}
+
+describe('TRMNLPicker history', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    pickers.forEach(picker => picker.destroy())
+    pickers = []
+  })
+
+  it('undoes and redoes changes with the history origin', () => {
+    const [picker] = createPickers({})
+    const start = picker.params.modelName
+    const origins = []
+    picker.on('trmnl:change', detail => origins.push(detail.origin))
+
+    picker.setParams({ modelName: 'og_png' })
+    picker.setParams({ modelName: 'kindle_2024' })
+
+    expect(picker.undo()).toBe(true)
+    expect(picker.params.modelName).toBe('og_png')
+    expect(picker.undo()).toBe(true)
+    expect(picker.params.modelName).toBe(start)
+    expect(picker.undo()).toBe(false)
+
+    expect(picker.redo()).toBe(true)
+    expect(picker.params.modelName).toBe('og_png')
+    expect(origins.slice(2)).toEqual(['history', 'history', 'history'])
+  })
+
+  it('drops the redo steps after a new change', () => {
+    const [picker] = createPickers({})
+
+    picker.setParams({ modelName: 'og_png' })
+    picker.undo()
+    picker.setParams({ modelName: 'kindle_2024' })
+
+    expect(picker.canRedo).toBe(false)
+  })
+
+  it('keeps at most historyLimit steps and records nothing with 0', () => {
+    const [limited, disabled] = createPickers({ historyLimit: 1 }, { historyLimit: 0 })
+
+    limited.setParams({ modelName: 'og_png' })
+    limited.setParams({ modelName: 'kindle_2024' })
+    limited.undo()
+
+    expect(limited.canUndo).toBe(false)
+
+    disabled.setParams({ modelName: 'og_png' })
+    expect(disabled.canUndo).toBe(false)
+  })
+
+  it('disables the undo and redo buttons when there is nothing to step to', () => {
+    const [picker] = createPickers({})
+    const undoButton = picker.formElement.querySelector('[data-undo-button]')
+    const redoButton = picker.formElement.querySelector('[data-redo-button]')
+
+    expect(undoButton.disabled).toBe(true)
+    expect(redoButton.disabled).toBe(true)
+
+    picker.setParams({ modelName: 'og_png' })
+    expect(undoButton.disabled).toBe(false)
+
+    undoButton.click()
+    expect(undoButton.disabled).toBe(true)
+    expect(redoButton.disabled).toBe(false)
+  })
+
+  it('keeps a step cancelled through trmnl:beforechange', () => {
+    const [picker] = createPickers({})
+    picker.setParams({ modelName: 'og_png' })
+    const cancel = event => event.preventDefault()
+    picker.formElement.addEventListener('trmnl:beforechange', cancel)
+
+    expect(picker.undo()).toBe(false)
+    expect(picker.canUndo).toBe(true)
+
+    picker.formElement.removeEventListener('trmnl:beforechange', cancel)
+    expect(picker.undo()).toBe(true)
+  })
+
+  it('records synced changes only in the picker that made them', () => {
+    const [a, b] = createPickers({ sync: 'editor' }, { sync: 'editor' })
+    const start = a.params.modelName
+
+    a.setParams({ modelName: 'og_png' })
+    a.setParams({ modelName: 'kindle_2024' })
+
+    expect(b.params.modelName).toBe('kindle_2024')
+    expect(b.canUndo).toBe(false)
+
+    // Undo in one picker is synced to the other without giving it steps to undo or redo
+    a.undo()
+    expect(b.params.modelName).toBe('og_png')
+    expect(b.canUndo).toBe(false)
+    expect(b.canRedo).toBe(false)
+
+    a.undo()
+    expect(b.params.modelName).toBe(start)
+
+    a.redo()
+    expect([a.params.modelName, b.params.modelName]).toEqual(['og_png', 'og_png'])
+  })
+
+  it('lets each synced picker undo its own changes', () => {
+    const [a, b] = createPickers({ sync: 'editor' }, { sync: 'editor' })
+
+    a.setParams({ modelName: 'og_png' })
+    b.setParams({ isDarkMode: true })
+
+    b.undo()
+
+    expect(a.params).toMatchObject({ modelName: 'og_png', isDarkMode: false })
+    expect(a.canUndo).toBe(true)
+    expect(b.canUndo).toBe(false)
+  })
+})
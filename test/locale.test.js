@@ -0,0 +1,110 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import Messages from '../src/messages.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <label data-picker-text="model">Model</label>
+      <select data-model-select></select>
+      <select data-palette-select></select>
+      <select data-scale-select></select>
+      <button type="button" data-orientation-toggle><span data-orientation-text></span></button>
+      <span data-resolution-text></span>
+      <button type="button" data-compare-button data-picker-text="compare">Compare</button>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function text(selector) {
+  return document.querySelector(selector).textContent
+}
+
+describe('Messages', () => {
+  it('uses the dictionary of the language, falling back to English', () => {
+    expect(new Messages('de-AT').format('portrait')).toBe('Hochformat')
+    expect(new Messages('fr').format('portrait')).toBe('Portrait')
+    expect(new Messages('ja', { portrait: 'Tate' }).format('portrait')).toBe('Tate')
+  })
+
+  it('fills in placeholders, formatting numbers for the locale', () => {
+    expect(new Messages('de').format('scale', { scale: 1.5 })).toBe('1,5x')
+    expect(new Messages('en').format('resolution', { width: 1448, height: 1072 })).toBe('1448 × 1072')
+    expect(new Messages('en').format('http')).toBe('The server responded with an error ({status}).')
+  })
+
+  it('returns unknown keys as they are and rejects non-string overrides', () => {
+    expect(new Messages().format('compare')).toBe('compare')
+    expect(() => new Messages('en', { reset: 1 })).toThrow('TRMNLPicker: message "reset" must be a string')
+  })
+
+  it('keeps the strings of an invalid locale tag', () => {
+    expect(new Messages('de-!!').format('scale', { scale: 2 })).toBe('2x')
+  })
+})
+
+describe('TRMNLPicker locale', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('shows the strings of the locale with custom messages over them', () => {
+    createPicker({ locale: 'de', messages: { compare: 'Vergleichen' }, scales: [1, 1.5] })
+
+    expect(picker.locale).toBe('de')
+    expect(text('[data-picker-text="model"]')).toBe('Modell')
+    expect(text('[data-picker-text="compare"]')).toBe('Vergleichen')
+    expect(text('[data-orientation-text]')).toBe('Querformat')
+    expect(text('[data-resolution-text]')).toBe('800 × 480')
+    expect([...document.querySelectorAll('[data-scale-select] option')].map(option => option.textContent)).toEqual(['1x', '1,5x'])
+    expect([...document.querySelectorAll('[data-model-select] optgroup')].map(group => group.label)).toEqual(['TRMNL', 'BYOD'])
+  })
+
+  it('switches the language with setLocale, restoring the markup text of dropped messages', () => {
+    createPicker({ messages: { compare: 'Add' } })
+    picker.setParams({ modelName: 'kindle_2024', isPortrait: true })
+    const listener = vi.fn()
+    picker.on('trmnl:change', listener)
+
+    picker.setLocale('ja')
+
+    expect(picker.locale).toBe('ja')
+    expect(picker.params).toMatchObject({ modelName: 'kindle_2024', isPortrait: true })
+    expect(document.querySelector('[data-model-select]').value).toBe('kindle_2024')
+    expect(text('[data-orientation-text]')).toBe('縦向き')
+    expect(text('[data-picker-text="compare"]')).toBe('Compare')
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('updates the combobox and swatch labels on setLocale', () => {
+    createPicker({ modelSearch: true, paletteSwatches: true })
+
+    picker.setLocale('de')
+
+    expect(document.querySelector('[data-model-search]').placeholder).toBe('Modelle suchen…')
+    expect(document.querySelector('[data-palette-swatches]').getAttribute('aria-label')).toBe('Palette')
+    expect(document.querySelector('[data-model-search]').getAttribute('aria-label')).toBe('Modell')
+  })
+
+  it('rejects non-string messages', () => {
+    expect(() => createPicker({ messages: { reset: null } })).toThrow('TRMNLPicker: message "reset" must be a string')
+  })
+
+  it('lists every key in TRMNLPicker.MESSAGES', () => {
+    expect(Object.keys(TRMNLPicker.MESSAGES)).toEqual(['en', 'de', 'ja'])
+    expect(Object.keys(TRMNLPicker.MESSAGES.de)).toEqual(Object.keys(TRMNLPicker.MESSAGES.en))
+    expect(Object.keys(TRMNLPicker.MESSAGES.ja)).toEqual(Object.keys(TRMNLPicker.MESSAGES.en))
+  })
+})
@@ -0,0 +1,169 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import PresetList from '../src/presets.js'
+import { TRMNLPickerError } from '../src/errors.js'
+import { models, palettes } from './fixtures.js'
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+      <select data-preset-select></select>
+    </form>
+  `
+
+  return new TRMNLPicker('picker-form', { models, palettes, ...options })
+}
+
+describe('PresetList', () => {
+  it('skips invalid initial entries and lets later ones replace earlier ones', () => {
+    const presets = new PresetList([
+      { label: ' A ', params: { modelName: 'og_png', extra: true } },
+      { label: '', params: { modelName: 'og_plus' } },
+      { label: 'B', params: {} },
+      'C',
+      { label: 'A', params: { isDarkMode: true } }
+    ])
+
+    expect(presets.list()).toEqual([{ label: 'A', params: { isDarkMode: true } }])
+  })
+
+  it('keeps the position of a replaced preset', () => {
+    const presets = new PresetList()
+    presets.set('A', { modelName: 'og_png' })
+    presets.set('B', { modelName: 'og_plus' })
+
+    expect(presets.set('A', { modelName: 'kindle_2024' })).toEqual({ label: 'A', params: { modelName: 'kindle_2024' } })
+    expect(presets.list().map(preset => preset.label)).toEqual(['A', 'B'])
+  })
+
+  it('rejects presets without a label or known params', () => {
+    const presets = new PresetList()
+
+    expect(() => presets.set(' ', { modelName: 'og_png' })).toThrow('label must be a non-empty string')
+    expect(() => presets.set('A', { unknown: true })).toThrow(TRMNLPickerError)
+    expect(presets.list()).toEqual([])
+  })
+
+  it('returns copies that do not change the list', () => {
+    const presets = new PresetList([{ label: 'A', params: { modelName: 'og_png' } }])
+
+    presets.get('A').params.modelName = 'og_plus'
+    presets.list()[0].params.modelName = 'og_plus'
+
+    expect(presets.get('A').params.modelName).toBe('og_png')
+    expect(presets.get('B')).toBe(null)
+  })
+
+  it('imports JSON, replacing everything only when asked', () => {
+    const presets = new PresetList([{ label: 'A', params: { modelName: 'og_png' } }])
+
+    presets.import('[{ "label": "B", "params": { "isPortrait": true } }]')
+    expect(presets.list().map(preset => preset.label)).toEqual(['A', 'B'])
+
+    presets.import([{ label: 'C', params: { scale: 2 } }], { replace: true })
+    expect(presets.list()).toEqual([{ label: 'C', params: { scale: 2 } }])
+
+    expect(() => presets.import([{ label: 'D', params: { scale: 1 } }, {}])).toThrow('presets[1]')
+    expect(presets.list().map(preset => preset.label)).toEqual(['C'])
+  })
+
+  it('deletes presets by label', () => {
+    const presets = new PresetList([{ label: 'A', params: { modelName: 'og_png' } }])
+
+    expect(presets.delete('B')).toBe(false)
+    expect(presets.delete('A')).toBe(true)
+    expect(presets.list()).toEqual([])
+  })
+})
+
+describe('TRMNLPicker presets', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('exports saved presets as JSON and imports them into another picker', () => {
+    const source = createPicker()
+    source.savePreset('Kindle dark', { modelName: 'kindle_2024', isDarkMode: true })
+    source.savePreset('OG portrait', { modelName: 'og_png', isPortrait: true })
+    const json = source.exportPresets()
+    source.destroy()
+
+    const target = createPicker()
+    const presets = target.importPresets(json)
+
+    expect(presets.map(preset => preset.label)).toEqual(['Kindle dark', 'OG portrait'])
+    expect(presets[0].params).toMatchObject({ modelName: 'kindle_2024', paletteId: 'gray-16', isDarkMode: true })
+
+    target.applyPreset('Kindle dark')
+
+    expect(target.params).toMatchObject({ modelName: 'kindle_2024', isDarkMode: true })
+  })
+
+  it('replaces presets with the same label, or all of them with replace', () => {
+    const picker = createPicker()
+    picker.savePreset('A', { modelName: 'og_png' })
+    picker.savePreset('B', { modelName: 'og_plus' })
+
+    picker.importPresets([{ label: 'A', params: { modelName: 'kindle_2024' } }])
+
+    expect(picker.listPresets().map(({ label, params }) => [label, params.modelName])).toEqual([
+      ['A', 'kindle_2024'],
+      ['B', 'og_plus']
+    ])
+
+    picker.importPresets([{ label: 'C', params: { isDarkMode: true } }], { replace: true })
+
+    expect(picker.listPresets().map(preset => preset.label)).toEqual(['C'])
+  })
+
+  it('imports nothing when the JSON or an entry is invalid', () => {
+    const picker = createPicker()
+    picker.savePreset('Keep', { modelName: 'og_png' })
+
+    expect(() => picker.importPresets('{not json')).toThrow(TRMNLPickerError)
+    expect(() => picker.importPresets('{}')).toThrow('must be an array')
+    expect(() => picker.importPresets([
+      { label: 'Good', params: { modelName: 'og_plus' } },
+      { label: 'Bad', params: { unknown: true } }
+    ])).toThrow('presets[1]')
+
+    expect(picker.listPresets().map(preset => preset.label)).toEqual(['Keep'])
+  })
+
+  it('persists presets next to the state and restores them', () => {
+    const picker = createPicker({ localStorageKey: 'picker' })
+    picker.savePreset('Saved', { modelName: 'og_png' })
+    picker.destroy()
+
+    expect(JSON.parse(localStorage.getItem('picker:presets'))).toHaveLength(1)
+
+    const restored = createPicker({ localStorageKey: 'picker' })
+
+    expect(restored.listPresets().map(preset => preset.label)).toEqual(['Saved'])
+  })
+
+  it('lists presets in the preset select and fires trmnl:presets-change', () => {
+    const picker = createPicker()
+    const listener = vi.fn()
+    picker.on('trmnl:presets-change', listener)
+
+    picker.savePreset('Mine', { isPortrait: true })
+
+    const options = [...document.querySelectorAll('[data-preset-select] option')]
+    expect(options.map(option => option.value)).toEqual(['', 'Mine'])
+    expect(listener.mock.calls[0][0].presets.map(preset => preset.label)).toEqual(['Mine'])
+  })
+
+  it('rejects unknown labels and deletes presets', () => {
+    const picker = createPicker()
+    picker.savePreset('Gone', { modelName: 'og_png' })
+
+    picker.deletePreset('Gone')
+
+    expect(picker.listPresets()).toEqual([])
+    expect(() => picker.applyPreset('Gone')).toThrow(TRMNLPickerError)
+  })
+})
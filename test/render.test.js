@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+function createForm(html = '') {
+  document.body.innerHTML = `<form id="picker-form">${html}</form>`
+  return document.getElementById('picker-form')
+}
+
+describe('TRMNLPicker render mode', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('throws for missing required controls without render', () => {
+    createForm('<select data-model-select></select>')
+
+    expect(() => new TRMNLPicker('picker-form', { models, palettes }))
+      .toThrow('TRMNLPicker: Required element "paletteSelect" not found in form')
+  })
+
+  it('builds every missing control with the default markup', () => {
+    const form = createForm()
+
+    const picker = new TRMNLPicker(form, { models, palettes, render: true })
+
+    expect([...form.children].map(element => element.tagName.toLowerCase())).toEqual([
+      'select', 'select', 'button', 'button', 'select', 'button'
+    ])
+    expect(form.querySelector('[data-model-select]').value).toBe('og_plus')
+    expect(form.querySelector('[data-orientation-text]').textContent).toBe('Landscape')
+
+    form.querySelector('[data-dark-mode-toggle]').click()
+    expect(picker.params.isDarkMode).toBe(true)
+  })
+
+  it('keeps controls already in the form and appends the rest', () => {
+    const form = createForm('<div><select data-palette-select class="mine"></select></div>')
+
+    new TRMNLPicker(form, { models, palettes, render: true })
+
+    expect(form.querySelectorAll('[data-palette-select]').length).toBe(1)
+    expect(form.querySelector('[data-palette-select]').className).toBe('mine')
+    expect(form.lastElementChild.matches('[data-reset-button]')).toBe(true)
+  })
+
+  it('uses custom templates and classes, and skips optional controls set to false', () => {
+    const form = createForm()
+
+    new TRMNLPicker(form, {
+      models,
+      palettes,
+      render: {
+        templates: {
+          modelSelect: '<label>Device <select data-model-select></select></label>',
+          scaleSelect: false,
+          resetButton: false
+        },
+        classes: { modelSelect: 'field  wide', darkModeToggle: 'btn' }
+      }
+    })
+
+    expect(form.firstElementChild.tagName).toBe('LABEL')
+    expect(form.firstElementChild.className).toBe('field wide')
+    expect(form.querySelector('[data-dark-mode-toggle]').className).toBe('btn')
+    expect(form.querySelector('[data-scale-select]')).toBe(null)
+    expect(form.querySelector('[data-reset-button]')).toBe(null)
+  })
+
+  it('rejects a template without its control and adds nothing', () => {
+    const form = createForm()
+
+    expect(() => new TRMNLPicker(form, {
+      models,
+      palettes,
+      render: { templates: { paletteSelect: '<select></select>' } }
+    })).toThrow('TRMNLPicker: template for "paletteSelect" must contain [data-palette-select]')
+    expect(form.children.length).toBe(0)
+  })
+
+  it('removes only the controls it built on destroy', () => {
+    const form = createForm('<select data-model-select></select>')
+    const select = form.firstElementChild
+
+    new TRMNLPicker(form, { models, palettes, render: true }).destroy()
+
+    expect([...form.children]).toEqual([select])
+  })
+})
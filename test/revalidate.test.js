@@ -0,0 +1,132 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { getApiUrl, setCachedApiData } from '../src/api.js'
+import { models, palettes } from './fixtures.js'
+
+let server = 0
+let picker = null
+
+function createForm() {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+  return document.getElementById('picker-form')
+}
+
+/**
+ * create() options for a server no other test talks to, answering with `responses`
+ * and starting from `cached` data
+ */
+function serverOptions(responses, cached = {}) {
+  server++
+  const options = {
+    apiBaseUrl: `https://byos-${server}.example.com`,
+    bundledCatalog: false,
+    retries: 0,
+    fetch: vi.fn(async url => {
+      const data = responses[url.endsWith('/models') ? 'models' : 'palettes']
+      if (!data) return new Response('', { status: 503, statusText: 'Service Unavailable' })
+      return new Response(JSON.stringify(data))
+    })
+  }
+
+  Object.entries(cached).forEach(([name, data]) => setCachedApiData(getApiUrl(name, options), data))
+  return options
+}
+
+describe('TRMNLPicker catalog revalidation', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+    vi.restoreAllMocks()
+  })
+
+  it('starts from cache and applies the refreshed catalog as live', async () => {
+    const form = createForm()
+    const cachedModels = models.filter(model => model.name !== 'kindle_2024')
+    const options = serverOptions({ models, palettes }, { models: cachedModels, palettes })
+    const changes = []
+    form.addEventListener('trmnl:change', event => changes.push([event.detail.origin, event.detail.catalogSource]))
+    const updated = new Promise(resolve => form.addEventListener('trmnl:catalog-update', event => resolve(event.detail)))
+
+    picker = await TRMNLPicker.create(form, options)
+    expect(picker.catalogSource).toBe('cached')
+
+    const { models: modelsDiff } = await updated
+
+    expect(modelsDiff.added.map(model => model.name)).toEqual(['kindle_2024'])
+    expect(picker.catalogSource).toBe('live')
+    expect(changes).toEqual([['constructor', 'cached'], ['catalog', 'live']])
+  })
+
+  it('becomes live when the only cached endpoint is refreshed', async () => {
+    const options = serverOptions({ models, palettes }, { models })
+
+    picker = await TRMNLPicker.create(createForm(), options)
+    expect(picker.catalogSource).toBe('cached')
+
+    // Palettes were fetched live, so the refreshed models make the whole catalog live
+    await vi.waitFor(() => expect(picker.catalogSource).toBe('live'))
+    expect(options.fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps the cached catalog and source when the refresh fails', async () => {
+    const options = serverOptions({}, { models, palettes })
+
+    picker = await TRMNLPicker.create(createForm(), options)
+    await vi.waitFor(() => expect(console.warn).toHaveBeenCalledWith(
+      'TRMNLPicker: Failed to refresh API data, keeping cached data:', expect.any(Error)
+    ))
+
+    expect(picker.catalogSource).toBe('cached')
+    expect(picker.models.map(model => model.name)).toContain('kindle_2024')
+  })
+
+  it('reports a rejected refresh and resets the cache to the catalog in use', async () => {
+    const form = createForm()
+    const unusable = [{ ...models[0], palette_ids: ['unused'] }]
+    const options = serverOptions({ models: unusable, palettes }, { models, palettes })
+    const errorEvent = new Promise(resolve => form.addEventListener('trmnl:error', event => resolve(event.detail)))
+
+    picker = await TRMNLPicker.create(form, options)
+    const { error, retry } = await errorEvent
+
+    expect(error.name).toBe('TRMNLPickerNoModelsError')
+    expect(typeof retry).toBe('function')
+    expect(picker.catalogSource).toBe('cached')
+    expect(picker.models.map(model => model.name)).toContain('kindle_2024')
+
+    const cached = JSON.parse(localStorage.getItem(`trmnl-picker-api-cache:${getApiUrl('models', options)}`))
+    expect(cached.data).toEqual(models)
+  })
+
+  it('ignores a refresh finishing after destroy', async () => {
+    const responses = []
+    const options = serverOptions({}, { models, palettes: palettes.slice(0, 3) })
+    options.fetch = vi.fn(url => new Promise(resolve => responses.push(() => {
+      resolve(new Response(JSON.stringify(url.endsWith('/models') ? models : palettes)))
+    })))
+    const listener = vi.fn()
+    const form = createForm()
+    form.addEventListener('trmnl:catalog-update', listener)
+
+    picker = await TRMNLPicker.create(form, options)
+    picker.destroy()
+
+    responses.forEach(respond => respond())
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(options.fetch).toHaveBeenCalledTimes(2)
+    expect(listener).not.toHaveBeenCalled()
+    expect(picker.catalogSource).toBe('cached')
+  })
+})
@@ -0,0 +1,115 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+      <select data-scale-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+function changeScale(value) {
+  const select = document.querySelector('[data-scale-select]')
+  select.value = value
+  select.dispatchEvent(new Event('change'))
+}
+
+describe('TRMNLPicker scale', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('lists the default scales and selects 1x', () => {
+    createPicker()
+    const select = document.querySelector('[data-scale-select]')
+
+    expect([...select.options].map(option => [option.value, option.textContent])).toEqual([['1', '1x'], ['2', '2x']])
+    expect(select.value).toBe('1')
+  })
+
+  it('applies the chosen scale to the classes and scaled dimensions', () => {
+    createPicker({ params: { modelName: 'og_plus' } })
+    let detail = null
+    picker.on('trmnl:change', change => { detail = change })
+
+    changeScale('2')
+
+    expect(detail.origin).toBe('form')
+    expect(detail.scale).toBe(2)
+    expect(detail.screenClasses).toContain('screen--2x')
+    expect(detail.screenClasses).not.toContain('screen--1x')
+    expect([detail.width, detail.height, detail.scaledWidth, detail.scaledHeight]).toEqual([800, 480, 1600, 960])
+  })
+
+  it('lists custom scales with their labels and classes', () => {
+    createPicker({ scales: [1, { value: 1.5, label: 'Zoom', className: 'screen--zoom' }] })
+
+    expect([...document.querySelectorAll('[data-scale-select] option')].map(option => option.textContent)).toEqual(['1x', 'Zoom'])
+
+    changeScale('1.5')
+
+    expect(picker.params.scale).toBe(1.5)
+    expect(picker.state.screenClasses).toContain('screen--zoom')
+  })
+
+  it('ignores scales that are not configured', () => {
+    createPicker()
+
+    picker.setParams({ scale: 3 })
+
+    expect(picker.params.scale).toBe(1)
+  })
+
+  it('saves and restores the scale with the other params', () => {
+    createPicker({ localStorageKey: 'picker' })
+    picker.setParams({ scale: 2 })
+    picker.destroy()
+
+    createPicker({ localStorageKey: 'picker' })
+
+    expect(picker.params.scale).toBe(2)
+    expect(document.querySelector('[data-scale-select]').value).toBe('2')
+  })
+})
+
+describe('<trmnl-picker> scale attribute', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    TRMNLPicker.defineElement()
+  })
+
+  it('reads the scale attribute as a number and reflects changes back', async () => {
+    document.body.innerHTML = ''
+    const element = document.createElement('trmnl-picker')
+    element.models = models
+    element.palettes = palettes
+    element.setAttribute('scale', '2')
+    document.body.append(element)
+
+    const elementPicker = await element.ready
+    expect(elementPicker.params.scale).toBe(2)
+
+    element.setAttribute('scale', '1')
+    expect(elementPicker.params.scale).toBe(1)
+
+    elementPicker.setParams({ scale: 2 })
+    expect(element.getAttribute('scale')).toBe('2')
+
+    element.remove()
+  })
+})
@@ -0,0 +1,60 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest'
+import resolveStorage from '../src/storage.js'
+
+const params = { modelName: 'og_plus', paletteId: 'bw', isPortrait: true, isDarkMode: false, scale: 2 }
+
+describe('resolveStorage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    sessionStorage.clear()
+    document.cookie.split('; ').filter(Boolean).forEach(cookie => {
+      document.cookie = `${cookie.split('=')[0]}=; path=/; max-age=0`
+    })
+  })
+
+  it('defaults to localStorage', () => {
+    const storage = resolveStorage()
+
+    storage.save('picker', params)
+
+    expect(storage.type).toBe('localStorage')
+    expect(JSON.parse(localStorage.getItem('picker'))).toEqual(params)
+    expect(storage.load('picker')).toEqual(params)
+  })
+
+  it('keeps sessionStorage separate from localStorage', () => {
+    const storage = resolveStorage('sessionStorage')
+
+    storage.save('picker', params)
+
+    expect(storage.load('picker')).toEqual(params)
+    expect(localStorage.getItem('picker')).toBe(null)
+  })
+
+  it('round-trips params through an encoded cookie', () => {
+    const storage = resolveStorage('cookie')
+
+    storage.save('my picker', params)
+
+    expect(document.cookie).toContain('my%20picker=')
+    expect(storage.load('my picker')).toEqual(params)
+  })
+
+  it('returns null for keys that were never saved', () => {
+    for (const type of ['localStorage', 'sessionStorage', 'cookie']) {
+      expect(resolveStorage(type).load('missing')).toBe(null)
+    }
+  })
+
+  it('accepts a custom adapter as-is', () => {
+    const adapter = { load: async () => params, save: async () => {} }
+
+    expect(resolveStorage(adapter)).toBe(adapter)
+  })
+
+  it('rejects unknown names and incomplete adapters', () => {
+    expect(() => resolveStorage('indexedDB')).toThrow('TRMNLPicker: storage must be')
+    expect(() => resolveStorage({ load: () => null })).toThrow('TRMNLPicker: storage must be')
+  })
+})
@@ -0,0 +1,125 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+describe('TRMNLPicker subscribe and on', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('calls a plain subscriber with every change detail until unsubscribed', () => {
+    createPicker()
+    const listener = vi.fn()
+    const unsubscribe = picker.subscribe(listener)
+
+    picker.setParams({ isDarkMode: true })
+    unsubscribe()
+    picker.setParams({ isDarkMode: false })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0]).toMatchObject({ origin: 'setParams', isDarkMode: true })
+  })
+
+  it('calls a key subscriber only when the value changes, comparing arrays by item', () => {
+    createPicker()
+    const listener = vi.fn()
+    picker.subscribe('screenClasses', listener)
+
+    picker.setParams({ modelName: 'og_png' })
+    picker.setParams({ isDarkMode: true })
+    picker.setParams({ isDarkMode: false })
+
+    expect(listener).toHaveBeenCalledTimes(3)
+    const [classes, previousClasses, detail] = listener.mock.calls[0]
+    expect(classes).toContain('screen--og')
+    expect(previousClasses).toContain('screen--v2')
+    expect(detail.model.name).toBe('og_png')
+  })
+
+  it('starts a key subscriber from the current value', () => {
+    createPicker()
+    const listener = vi.fn()
+    picker.subscribe('width', listener)
+
+    picker.setParams({ modelName: 'og_png' })
+    picker.setParams({ isPortrait: true })
+
+    expect(listener.mock.calls.map(([value, previousValue]) => [value, previousValue])).toEqual([[480, 800]])
+  })
+
+  it('calls a function subscriber when the derived value changes', () => {
+    createPicker()
+    const listener = vi.fn()
+    picker.subscribe(({ width, height }) => `${width}x${height}`, listener)
+
+    picker.setParams({ isDarkMode: true })
+    picker.setParams({ modelName: 'kindle_2024' })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0].slice(0, 2)).toEqual(['724x536', '800x480'])
+  })
+
+  it('rejects invalid selectors, listeners and event names', () => {
+    createPicker()
+
+    expect(() => picker.subscribe(1, () => {})).toThrow('TRMNLPicker: subscribe selector must be a detail key or a function')
+    expect(() => picker.subscribe('width', null)).toThrow('TRMNLPicker: subscribe listener must be a function')
+    expect(() => picker.on('change', () => {})).toThrow('TRMNLPicker: Unknown event "change"')
+    expect(() => picker.on('trmnl:change')).toThrow('TRMNLPicker: Event listener must be a function')
+  })
+
+  it('passes the event to on() listeners after the DOM listeners, so they can cancel', () => {
+    createPicker()
+    const calls = []
+    picker.formElement.addEventListener('trmnl:beforechange', () => calls.push('dom'))
+    picker.on('trmnl:beforechange', (detail, event) => {
+      calls.push('on')
+      if (detail.params.isDarkMode) event.preventDefault()
+    })
+
+    expect(picker.setParams({ isDarkMode: true })).toBe(false)
+    expect(calls).toEqual(['dom', 'on'])
+  })
+
+  it('removes a listener with off()', () => {
+    createPicker()
+    const listener = vi.fn()
+    picker.on('trmnl:change', listener)
+
+    picker.off('trmnl:change', listener)
+    picker.setParams({ isDarkMode: true })
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('drops every listener on destroy', () => {
+    createPicker()
+    const listener = vi.fn()
+    picker.on('trmnl:change', listener)
+    picker.subscribe('width', listener)
+
+    picker.destroy()
+
+    expect(picker._listeners.size).toBe(0)
+  })
+})
@@ -0,0 +1,109 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select aria-label="Colors"></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, paletteSwatches: true, ...options })
+  return picker
+}
+
+function radios() {
+  return [...document.querySelectorAll('[data-palette-swatches] input[type="radio"]')]
+}
+
+function chips() {
+  return [...document.querySelectorAll('[data-palette-swatches] .trmnl-picker-swatches__strip')]
+    .map(strip => [...strip.children].map(chip => chip.style.backgroundColor))
+}
+
+describe('TRMNLPicker palette swatches', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('shows a radio with the grey levels of each palette of the model instead of the select', () => {
+    createPicker()
+    const group = document.querySelector('[data-palette-swatches]')
+
+    expect(group.getAttribute('role')).toBe('radiogroup')
+    expect(group.getAttribute('aria-label')).toBe('Colors')
+    expect(document.querySelector('[data-palette-select]').hidden).toBe(true)
+    expect(radios().map(radio => [radio.value, radio.checked])).toEqual([['gray-4', true], ['bw', false]])
+    expect([...group.querySelectorAll('.trmnl-picker-swatches__name')].map(name => name.textContent)).toEqual(['4 Grays', 'Black & White'])
+    expect(chips()).toEqual([
+      ['rgb(0, 0, 0)', 'rgb(85, 85, 85)', 'rgb(170, 170, 170)', 'rgb(255, 255, 255)'],
+      ['rgb(0, 0, 0)', 'rgb(255, 255, 255)']
+    ])
+  })
+
+  it('selects the palette of the chosen radio', () => {
+    createPicker()
+    let detail = null
+    picker.on('trmnl:change', change => { detail = change })
+
+    radios()[1].click()
+
+    expect(detail.origin).toBe('form')
+    expect(detail.palette.id).toBe('bw')
+    expect(document.querySelector('[data-palette-select]').value).toBe('bw')
+  })
+
+  it('rebuilds the radios for a new model and checks changes made elsewhere', () => {
+    createPicker()
+
+    picker.setParams({ modelName: 'kindle_2024' })
+    expect(radios().map(radio => radio.value)).toEqual(['gray-16', 'bw'])
+    expect(chips()[0]).toHaveLength(16)
+
+    picker.setParams({ paletteId: 'bw' })
+    expect(radios().map(radio => radio.checked)).toEqual([false, true])
+  })
+
+  it('uses the palette colors, sampling large palettes down to 16 chips', () => {
+    const colors = Array.from({ length: 64 }, (_, index) => `rgb(${index}, 0, 0)`)
+    createPicker({
+      palettes: [...palettes, { id: 'color', name: 'Color', grays: null, colors, framework_class: 'screen--color' }],
+      models: [{ ...models[0], palette_ids: ['color', 'bw'] }]
+    })
+
+    const [strip] = chips()
+    expect(strip).toHaveLength(16)
+    expect(strip[0]).toBe('rgb(0, 0, 0)')
+    expect(strip[15]).toBe('rgb(63, 0, 0)')
+  })
+
+  it('shows the select when no palette of the model has color data', () => {
+    createPicker({
+      palettes: [{ id: 'plain', name: 'Plain', grays: null, colors: null, framework_class: 'screen--plain' }],
+      models: [{ ...models[0], palette_ids: ['plain'] }]
+    })
+
+    expect(document.querySelector('[data-palette-swatches]').hidden).toBe(true)
+    expect(document.querySelector('[data-palette-select]').hidden).toBe(false)
+    expect(radios()).toEqual([])
+  })
+
+  it('removes the swatches and shows the select again on destroy', () => {
+    createPicker()
+
+    picker.destroy()
+
+    expect(document.querySelector('[data-palette-swatches]')).toBe(null)
+    expect(document.querySelector('[data-palette-select]').hidden).toBe(false)
+  })
+})
@@ -0,0 +1,183 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import ParamsSync from '../src/sync.js'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+function createMember(channel, params = null) {
+  const member = new ParamsSync({
+    channel,
+    getParams: () => params,
+    onParams: vi.fn(received => { params = received })
+  })
+  members.push(member)
+  return member
+}
+
+function createPickers(...optionsList) {
+  document.body.innerHTML = optionsList.map((options, index) => `
+    <form id="picker-${index}">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `).join('')
+
+  return optionsList.map((options, index) => {
+    const picker = new TRMNLPicker(`picker-${index}`, { models, palettes, ...options })
+    pickers.push(picker)
+    return picker
+  })
+}
+
+let members = []
+let pickers = []
+
+afterEach(() => {
+  members.forEach(member => member.destroy())
+  pickers.forEach(picker => picker.destroy())
+  members = []
+  pickers = []
+  vi.unstubAllGlobals()
+})
+
+describe('ParamsSync', () => {
+  it('shares params with the other members of the channel on this page', () => {
+    const a = createMember('editor')
+    const b = createMember('editor')
+    const other = createMember('gallery')
+
+    a.broadcast({ modelName: 'og_plus' })
+
+    expect(a.onParams).not.toHaveBeenCalled()
+    expect(b.onParams).toHaveBeenCalledWith({ modelName: 'og_plus' })
+    expect(other.onParams).not.toHaveBeenCalled()
+  })
+
+  it('starts new members from the params of a member already on the page', () => {
+    createMember('editor', { modelName: 'kindle_2024' })
+    const late = createMember('editor')
+
+    expect(late.getPeerParams()).toEqual({ modelName: 'kindle_2024' })
+    expect(createMember('gallery').getPeerParams()).toBe(null)
+  })
+
+  it('stops sharing once destroyed', () => {
+    const a = createMember('editor')
+    const b = createMember('editor')
+
+    b.destroy()
+    members = [a]
+    a.broadcast({ modelName: 'og_plus' })
+
+    expect(b.onParams).not.toHaveBeenCalled()
+    expect(a.getPeerParams()).toBe(null)
+  })
+
+  it('receives params posted by other tabs', async () => {
+    const member = createMember('editor')
+    const otherTab = new BroadcastChannel('trmnl-picker:editor')
+    const received = new Promise(resolve => member.onParams.mockImplementation(resolve))
+
+    otherTab.postMessage({ pageId: 'other-tab', params: { modelName: 'og_plus' } })
+
+    await expect(received).resolves.toEqual({ modelName: 'og_plus' })
+    otherTab.close()
+  })
+
+  describe('without BroadcastChannel', () => {
+    beforeEach(() => {
+      vi.stubGlobal('BroadcastChannel', undefined)
+      localStorage.clear()
+    })
+
+    it('shares params through localStorage keyed by the channel', () => {
+      const member = createMember('editor')
+
+      member.broadcast({ modelName: 'og_plus' })
+
+      expect(JSON.parse(localStorage.getItem('trmnl-picker-sync:editor')).params).toEqual({ modelName: 'og_plus' })
+    })
+
+    it('applies storage events for its channel from other tabs only', () => {
+      const member = createMember('editor')
+      const message = pageId => JSON.stringify({ pageId, params: { modelName: 'og_plus' }, time: Date.now() })
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'trmnl-picker-sync:gallery', newValue: message('other-tab') }))
+      expect(member.onParams).not.toHaveBeenCalled()
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'trmnl-picker-sync:editor', newValue: message('other-tab') }))
+      expect(member.onParams).toHaveBeenCalledWith({ modelName: 'og_plus' })
+    })
+  })
+})
+
+describe('TRMNLPicker sync', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    sessionStorage.clear()
+  })
+
+  it('applies changes to pickers on the same channel with the sync origin', () => {
+    const [a, b] = createPickers({ sync: 'editor' }, { sync: 'editor' })
+    const listener = vi.fn()
+    b.formElement.addEventListener('trmnl:change', listener)
+
+    a.setParams({ modelName: 'kindle_2024', isDarkMode: true })
+
+    expect(b.params).toMatchObject({ modelName: 'kindle_2024', isDarkMode: true })
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener.mock.calls[0][0].detail.origin).toBe('sync')
+  })
+
+  it('starts from the state of a synced picker already on the page', () => {
+    document.body.innerHTML = ''
+    const [a] = createPickers({ sync: 'editor' })
+    a.setParams({ modelName: 'kindle_2024' })
+
+    const form = document.createElement('form')
+    form.innerHTML = '<select data-model-select></select><select data-palette-select></select>'
+    document.body.append(form)
+    const b = new TRMNLPicker(form, { models, palettes, sync: 'editor' })
+    pickers.push(b)
+
+    expect(b.params.modelName).toBe('kindle_2024')
+  })
+
+  it('saves synced changes with each picker\'s own key and storage', () => {
+    const [a] = createPickers(
+      { sync: 'editor', localStorageKey: 'ka' },
+      { sync: 'editor', localStorageKey: 'kb', storage: 'sessionStorage' }
+    )
+
+    a.setParams({ modelName: 'og_plus', isPortrait: true })
+
+    expect(JSON.parse(localStorage.getItem('ka'))).toMatchObject({ modelName: 'og_plus', isPortrait: true })
+    expect(JSON.parse(sessionStorage.getItem('kb'))).toMatchObject({ modelName: 'og_plus', isPortrait: true })
+  })
+
+  it('uses localStorageKey as the channel with sync: true', () => {
+    const [a, b, c] = createPickers(
+      { sync: true, localStorageKey: 'shared' },
+      { sync: true, localStorageKey: 'shared' },
+      { sync: true, localStorageKey: 'other' }
+    )
+
+    a.setParams({ modelName: 'kindle_2024' })
+
+    expect(b.params.modelName).toBe('kindle_2024')
+    expect(c.params.modelName).not.toBe('kindle_2024')
+  })
+
+  it('stops syncing a destroyed picker', () => {
+    const [a, b] = createPickers({ sync: 'editor' }, { sync: 'editor' })
+    const listener = vi.fn()
+    b.formElement.addEventListener('trmnl:change', listener)
+    b.destroy()
+    pickers = [a]
+
+    a.setParams({ modelName: 'kindle_2024' })
+
+    expect(a.params.modelName).toBe('kindle_2024')
+    expect(listener).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,100 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(previews, options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+    ${previews}
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, targets: '.preview', ...options })
+  return picker
+}
+
+function classesOf(selector) {
+  return [...document.querySelector(selector).classList]
+}
+
+describe('TRMNLPicker targets', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('applies the screen classes next to custom classes', () => {
+    createPicker('<div id="a" class="preview rounded"></div>', { params: { modelName: 'og_plus', paletteId: 'bw' } })
+
+    expect(classesOf('#a')).toEqual(['preview', 'rounded', 'screen', 'screen--1bit', 'screen--v2', 'screen--md', 'screen--1x'])
+
+    picker.setParams({ modelName: 'kindle_2024', isDarkMode: true })
+
+    expect(classesOf('#a')).toEqual([
+      'preview', 'rounded', 'screen', 'screen--1x', 'screen--4bit', 'screen--kindle', 'screen--lg', 'screen--dark-mode'
+    ])
+  })
+
+  it('removes screen classes from the markup once they no longer apply', () => {
+    createPicker('<div id="a" class="preview screen screen--1bit screen--og screen--portrait"></div>', {
+      params: { modelName: 'kindle_2024' }
+    })
+
+    expect(classesOf('#a')).toEqual(['preview', 'screen', 'screen--4bit', 'screen--kindle', 'screen--lg', 'screen--1x'])
+  })
+
+  it('keeps screen classes from the markup that still apply through later changes', () => {
+    createPicker('<div id="a" class="preview screen screen--1bit"></div>', { params: { modelName: 'og_png' } })
+
+    picker.setParams({ isPortrait: true })
+
+    expect(classesOf('#a')).toContain('screen--1bit')
+    expect(classesOf('#a').filter(className => /bit$/.test(className))).toEqual(['screen--1bit'])
+  })
+
+  it('removes only the classes it added on destroy', () => {
+    createPicker('<div id="a" class="preview screen"></div>', { params: { modelName: 'og_png' } })
+
+    picker.destroy()
+
+    expect(classesOf('#a')).toEqual(['preview', 'screen'])
+  })
+
+  it('picks up new matches and forgets elements that no longer match', () => {
+    createPicker('<div id="a" class="preview"></div><div id="b"></div>', { params: { modelName: 'og_png' } })
+    document.getElementById('a').classList.remove('preview')
+    document.getElementById('b').classList.add('preview')
+
+    picker.setParams({ isDarkMode: true })
+
+    expect(classesOf('#a')).toEqual([])
+    expect(classesOf('#b')).toContain('screen--dark-mode')
+  })
+
+  it('calls afterApply with the targets and state, and logs its errors', () => {
+    const afterApply = vi.fn()
+    createPicker('<div id="a" class="preview"></div>', { afterApply })
+
+    expect(afterApply).toHaveBeenCalledWith([document.getElementById('a')], picker.state)
+
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    afterApply.mockImplementation(() => { throw new Error('boom') })
+    const listener = vi.fn()
+    picker.on('trmnl:change', listener)
+
+    picker.setParams({ isDarkMode: true })
+
+    expect(error).toHaveBeenCalledWith('TRMNLPicker: afterApply hook failed:', expect.any(Error))
+    expect(listener).toHaveBeenCalled()
+    error.mockRestore()
+  })
+})
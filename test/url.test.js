@@ -0,0 +1,124 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import TRMNLPicker from '../src/index.js'
+import { models, palettes } from './fixtures.js'
+
+let picker = null
+
+function createPicker(options = {}) {
+  document.body.innerHTML = `
+    <form id="picker-form">
+      <select data-model-select></select>
+      <select data-palette-select></select>
+    </form>
+  `
+
+  picker = new TRMNLPicker('picker-form', { models, palettes, ...options })
+  return picker
+}
+
+describe('TRMNLPicker URL sync', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    window.history.replaceState(null, '', '/')
+  })
+
+  afterEach(() => {
+    if (picker && picker.core) picker.destroy()
+    picker = null
+  })
+
+  it('leaves the URL alone without urlMode', () => {
+    window.history.replaceState(null, '', '/?model=kindle_2024')
+    createPicker()
+
+    picker.setParams({ isDarkMode: true })
+
+    expect(picker.params.modelName).toBe('og_plus')
+    expect(window.location.search).toBe('?model=kindle_2024')
+  })
+
+  it('starts from the query string, over saved state', () => {
+    localStorage.setItem('picker', JSON.stringify({ modelName: 'og_png', isDarkMode: true }))
+    window.history.replaceState(null, '', '/?model=kindle_2024&portrait=1&scale=2')
+
+    createPicker({ urlMode: 'query', localStorageKey: 'picker' })
+
+    expect(picker.params).toEqual({
+      modelName: 'kindle_2024',
+      paletteId: 'gray-16',
+      isPortrait: true,
+      isDarkMode: true,
+      scale: 2
+    })
+  })
+
+  it('replaces the history entry at startup and pushes one per change, keeping other params', () => {
+    window.history.replaceState(null, '', '/editor?plugin=weather#top')
+    const length = window.history.length
+
+    createPicker({ urlMode: 'query' })
+
+    expect(window.history.length).toBe(length)
+    expect(window.location.pathname).toBe('/editor')
+    expect(window.location.hash).toBe('#top')
+    expect(Object.fromEntries(new URLSearchParams(window.location.search))).toEqual({
+      plugin: 'weather',
+      model: 'og_plus',
+      palette: 'gray-4',
+      portrait: '0',
+      dark: '0',
+      scale: '1'
+    })
+
+    picker.setParams({ modelName: 'og_png' })
+
+    expect(window.history.length).toBe(length + 1)
+    expect(new URLSearchParams(window.location.search).get('model')).toBe('og_png')
+  })
+
+  it('keeps params in the hash with urlMode: hash', () => {
+    window.history.replaceState(null, '', '/?plugin=weather#dark=1')
+
+    createPicker({ urlMode: 'hash' })
+
+    expect(picker.params.isDarkMode).toBe(true)
+    expect(window.location.search).toBe('?plugin=weather')
+    expect(new URLSearchParams(window.location.hash.slice(1)).get('model')).toBe('og_plus')
+  })
+
+  it('applies back/forward navigation with the url origin without pushing', () => {
+    createPicker({ urlMode: 'query' })
+    const origins = []
+    picker.on('trmnl:change', detail => origins.push(detail.origin))
+    picker.setParams({ modelName: 'kindle_2024' })
+    const length = window.history.length
+
+    window.history.replaceState(null, '', '/?model=og_png')
+    window.dispatchEvent(new PopStateEvent('popstate'))
+
+    expect(picker.params.modelName).toBe('og_png')
+    expect(origins).toEqual(['setParams', 'url'])
+    expect(window.history.length).toBe(length)
+  })
+
+  it('ignores invalid values in the URL', () => {
+    window.history.replaceState(null, '', '/?model=missing&portrait=maybe&scale=7')
+
+    createPicker({ urlMode: 'query' })
+
+    expect(picker.params).toMatchObject({ modelName: 'og_plus', isPortrait: false, scale: 1 })
+  })
+
+  it('stops listening to navigation on destroy', () => {
+    createPicker({ urlMode: 'query' })
+    const listener = vi.fn()
+    picker.formElement.addEventListener('trmnl:change', listener)
+    picker.destroy()
+
+    window.history.replaceState(null, '', '/?model=og_png')
+    window.dispatchEvent(new PopStateEvent('popstate'))
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+})
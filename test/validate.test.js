@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import validateCatalog from '../src/validate.js'
+import { models, palettes } from './fixtures.js'
+
+describe('validateCatalog', () => {
+  it('accepts a valid catalog', () => {
+    const result = validateCatalog({ models, palettes })
+
+    expect(result.valid).toBe(true)
+    expect(result.errors).toEqual([])
+    expect(result.models).toEqual(models)
+    expect(result.palettes).toEqual(palettes)
+  })
+
+  it('requires models and palettes to be arrays', () => {
+    const result = validateCatalog({})
+
+    expect(result.valid).toBe(false)
+    expect(result.errors.map(error => error.path)).toEqual(['palettes', 'models'])
+  })
+
+  it('reports every problem of a model with its path', () => {
+    const result = validateCatalog({
+      models: [...models, { name: 'broken', width: -1, height: 480, palette_ids: 'bw', css: {} }],
+      palettes
+    })
+
+    expect(result.valid).toBe(false)
+    expect(result.errors.map(error => error.message)).toEqual([
+      'models[4].width must be a positive number',
+      'models[4].scale_factor missing',
+      'models[4].palette_ids must be an array of palette IDs',
+      'models[4].css.classes missing'
+    ])
+    expect(result.models).toEqual(models)
+  })
+
+  it('rejects class names that are not a single CSS class', () => {
+    const result = validateCatalog({
+      models,
+      palettes: [...palettes, { id: 'bad', framework_class: 'screen 1bit' }]
+    })
+
+    expect(result.errors).toEqual([{
+      path: 'palettes[4].framework_class',
+      message: 'palettes[4].framework_class "screen 1bit" is not a valid CSS class'
+    }])
+  })
+
+  it('keeps palettes with an empty framework_class, which mark unusable palettes', () => {
+    const result = validateCatalog({ models, palettes })
+
+    expect(result.palettes.map(palette => palette.id)).toContain('unused')
+  })
+
+  it('reports duplicates and keeps only the first entry', () => {
+    const result = validateCatalog({
+      models: [...models, { ...models[0], label: 'Copy' }],
+      palettes: [...palettes, { ...palettes[0] }]
+    })
+
+    expect(result.errors.map(error => error.message)).toEqual([
+      'palettes[4].id "bw" is a duplicate',
+      'models[4].name "og_png" is a duplicate'
+    ])
+    expect(result.models).toHaveLength(models.length)
+    expect(result.palettes).toHaveLength(palettes.length)
+  })
+})